@@ -0,0 +1,164 @@
+const { normalizeText } = require('./questions');
+const { csvField } = require('./formats');
+
+// A wrong answer given by at least this share of the players who answered, and by more
+// players than the right one, suggests the answer key itself is wrong
+const SUSPECT_SHARE = 0.5;
+const MIN_SUSPECT_ANSWERS = 2;
+// Questions flagged as the hardest of a game
+const HARDEST_COUNT = 3;
+
+const OPTION_TYPES = ['multiple-choice', 'true-false', 'multi-select'];
+
+function letter(index) {
+  return String.fromCharCode(65 + index);
+}
+
+// An answer as the players saw it: option letters, or the typed text
+function answerLabel(question, answer) {
+  const type = question.type || 'multiple-choice';
+  if (type === 'short-answer') return Array.isArray(answer) ? answer.join(' | ') : answer;
+  if (type === 'ordering') return answer.map(letter).join(' > ');
+  if (Array.isArray(answer)) return answer.map(letter).join(', ');
+  return letter(answer);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Questions that were actually shown; a game ended early skips the rest
+function playedQuestions(room) {
+  return room.questions.slice(0, Math.min(room.questions.length, room.currentQuestion + 1));
+}
+
+// Players who were in the game when question `index` was asked (late joiners missed
+// the ones before they arrived)
+function playersAt(room, index) {
+  return room.players.filter(player => (player.joinedAtQuestion || 0) <= index);
+}
+
+// Each player's answer to question `index`, or none
+function answersTo(room, index) {
+  const answers = [];
+  for (const player of playersAt(room, index)) {
+    const answer = (room.playerAnswers[player.name] || []).find(a => a.questionIndex === index);
+    if (answer) answers.push(answer);
+  }
+  return answers;
+}
+
+function questionStats(room, question, index) {
+  const type = question.type || 'multiple-choice';
+  const answers = answersTo(room, index);
+  const playerCount = playersAt(room, index).length;
+  const correctCount = answers.filter(a => a.isCorrect).length;
+
+  // Distinct answers, most common first (typed answers grouped by their normalized text)
+  const groups = new Map();
+  for (const answer of answers) {
+    const key = type === 'short-answer' ? normalizeText(answer.playerAnswer) : JSON.stringify(answer.playerAnswer);
+    const group = groups.get(key) || { answer: answerLabel(question, answer.playerAnswer), count: 0, correct: answer.isCorrect };
+    group.count++;
+    groups.set(key, group);
+  }
+  const distribution = [...groups.values()].sort((a, b) => b.count - a.count);
+
+  let optionCounts = null;
+  if (OPTION_TYPES.includes(type)) {
+    optionCounts = question.options.map(() => 0);
+    for (const answer of answers) {
+      [].concat(answer.playerAnswer).forEach(i => optionCounts[i]++);
+    }
+  }
+
+  const topWrong = distribution.find(group => !group.correct);
+  const suspect = topWrong && answers.length >= MIN_SUSPECT_ANSWERS &&
+    topWrong.count / answers.length >= SUSPECT_SHARE && topWrong.count > correctCount;
+
+  return {
+    questionIndex: index,
+    type: type,
+    question: question.question,
+    options: question.options,
+    correctAnswer: question.correct,
+    correctLabel: answerLabel(question, question.correct),
+    source: question.source || null,
+    topic: question.topic || null,
+    difficulty: question.difficulty || null,
+    answered: answers.length,
+    unanswered: playerCount - answers.length,
+    correctCount: correctCount,
+    // Out of everyone in the game, so a missed question counts against it
+    percentCorrect: percent(correctCount, playerCount),
+    averageCredit: answers.length > 0
+      ? Math.round((answers.reduce((sum, a) => sum + a.credit, 0) / answers.length) * 1000) / 1000
+      : 0,
+    medianResponseMs: median(answers.map(a => a.responseMs)),
+    optionCounts: optionCounts,
+    answers: distribution,
+    suspectedWrongKey: suspect
+      ? { answer: topWrong.answer, count: topWrong.count, share: percent(topWrong.count, answers.length) }
+      : null
+  };
+}
+
+// Per-question stats for the host once a game is over
+function gameAnalytics(room) {
+  const questions = playedQuestions(room).map((question, i) => questionStats(room, question, i));
+
+  // Lowest share correct first, the slower question on a tie. Questions nobody answered
+  // (usually the one a game was ended on) say nothing about difficulty.
+  const hardest = questions
+    .filter(q => q.answered > 0 && q.percentCorrect < 100)
+    .sort((a, b) => a.percentCorrect - b.percentCorrect || (b.medianResponseMs || 0) - (a.medianResponseMs || 0))
+    .slice(0, HARDEST_COUNT)
+    .map(q => q.questionIndex);
+
+  return {
+    name: room.name,
+    quizId: room.quizId || null,
+    quizName: room.quizName || null,
+    playerCount: room.players.length,
+    questionCount: questions.length,
+    questions: questions,
+    hardest: hardest,
+    suspectedWrongKeys: questions.filter(q => q.suspectedWrongKey).map(q => q.questionIndex)
+  };
+}
+
+// One row per player (best score first) with their answer, credit and response time for
+// every question, under a row holding the answer key
+function answerMatrixCsv(room) {
+  const questions = playedQuestions(room);
+  const teams = Boolean(room.teams);
+
+  const header = ['player', ...(teams ? ['team'] : []), 'score'];
+  const key = ['(answer key)', ...(teams ? [''] : []), ''];
+  questions.forEach((question, i) => {
+    header.push(`q${i + 1}_answer`, `q${i + 1}_credit`, `q${i + 1}_ms`);
+    key.push(answerLabel(question, question.correct), '', '');
+  });
+
+  const players = [...room.players].sort((a, b) => (room.scores[b.name] || 0) - (room.scores[a.name] || 0));
+  const rows = players.map(player => {
+    const row = [player.name, ...(teams ? [player.team || ''] : []), room.scores[player.name] || 0];
+    const answers = room.playerAnswers[player.name] || [];
+    questions.forEach((question, i) => {
+      const answer = answers.find(a => a.questionIndex === i);
+      row.push(...(answer ? [answerLabel(question, answer.playerAnswer), answer.credit, answer.responseMs] : ['', '', '']));
+    });
+    return row;
+  });
+
+  return [header, key, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { gameAnalytics, answerMatrixCsv, questionStats };
@@ -0,0 +1,538 @@
+const express = require('express');
+const multer = require('multer');
+const { createEngine } = require('./engine');
+const { createQuizLibrary } = require('./quizzes');
+const { createProfileLibrary } = require('./profiles');
+const { createReviewLibrary } = require('./review');
+const { createChallengeLibrary } = require('./challenges');
+const { createContentLibrary, parseDocumentIds } = require('./library');
+const { extractContent, MAX_FILES, MAX_FILE_BYTES, MAX_UPLOAD_BYTES } = require('./content');
+const { chunkDocuments } = require('./chunker');
+const { generateFromChunks } = require('./generator');
+const { getProvider, defaultProviderName, PROVIDER_NAMES } = require('./providers');
+const { QUESTION_TYPES, shuffleInPlace } = require('./questions');
+const { parseDifficulty, parseTopics, filterQuestions, outlineDigest, cleanOutline, MAX_OUTLINE_TOPICS } = require('./topics');
+const { exportQuiz, importQuiz, formatFromFileName } = require('./formats');
+const { pageOptions } = require('./storage/search');
+const { httpError } = require('./errors');
+
+// Event stream settings
+const HEARTBEAT_MS = 15000;
+const STREAM_MAX_MS = 55000;
+
+// Wrap async handlers so engine errors become JSON responses
+function route(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (e) {
+      if (e.status) {
+        return res.status(e.status).json({ error: e.message, ...e.details });
+      }
+      console.error('Request error:', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Question types requested for generation: a list or comma-separated string
+function parseQuestionTypes(value) {
+  if (!value) return ['multiple-choice'];
+  const types = (Array.isArray(value) ? value : String(value).split(',')).map(t => t.trim()).filter(Boolean);
+  const unknown = types.filter(t => !QUESTION_TYPES[t]);
+  if (unknown.length > 0) {
+    throw httpError(400, `Unknown question type(s): ${unknown.join(', ')}`);
+  }
+  return types.length > 0 ? [...new Set(types)] : ['multiple-choice'];
+}
+
+// Multer turns away oversized uploads and extra files before the route runs; report
+// those like any other request error. Multer only limits single files, so the total is
+// checked from Content-Length first. `maxFiles` is the file count the middleware allows.
+function receiveFiles(middleware, maxFiles = MAX_FILES) {
+  return (req, res, next) => {
+    if (Number(req.get('content-length')) > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `Uploads can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB in total` });
+    }
+    middleware(req, res, err => {
+      if (!err) return next();
+      if (!(err instanceof multer.MulterError)) return next(err);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Files can be at most ${MAX_FILE_BYTES / 1024 / 1024} MB each` });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: maxFiles === 1 ? 'Upload one file at a time' : `Upload at most ${maxFiles} files at a time` });
+      }
+      res.status(400).json({ error: err.message });
+    });
+  };
+}
+
+function sendExport(res, quiz, format) {
+  const file = exportQuiz(quiz, format || 'json');
+  res.set('Content-Type', file.contentType);
+  res.attachment(file.fileName);
+  res.send(file.body);
+}
+
+// The HTTP API shared by api/index.js (Vercel) and server.js (local dev)
+function createApp(storage) {
+  const app = express();
+  const engine = createEngine(storage);
+  const library = createContentLibrary(storage);
+  const quizzes = createQuizLibrary(storage, library);
+  const profiles = createProfileLibrary(storage);
+  const reviews = createReviewLibrary(storage, profiles);
+  const challenges = createChallengeLibrary(storage, { quizzes, profiles, reviews });
+
+  // Quiz imports (one file, or pasted content, of up to MAX_FILE_BYTES), and course
+  // content (up to MAX_FILES files of MAX_FILE_BYTES each)
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, fieldSize: MAX_FILE_BYTES, files: 1 } });
+  const contentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: MAX_FILES } });
+
+  app.use(express.json());
+
+  // Check the host token before accepting an upload
+  const hostOnly = route(async (req, res, next) => {
+    req.room = await engine.requireHost(req.params.roomCode, req.get('x-host-token'));
+    next();
+  });
+
+  // Create a room
+  app.post('/api/create-room', route(async (req, res) => {
+    res.json(await engine.createRoom(req.body));
+  }));
+
+  // Get public rooms - ?search= matches the start of words in the name, ?offset= & ?limit= page
+  app.get('/api/public-rooms', route(async (req, res) => {
+    const page = pageOptions(req.query);
+    res.json({ ...(await engine.listPublicRooms(page)), offset: page.offset, limit: page.limit });
+  }));
+
+  // Available question generation providers
+  app.get('/api/providers', (req, res) => {
+    res.json({ providers: PROVIDER_NAMES, default: defaultProviderName() });
+  });
+
+  // Get saved quizzes
+  app.get('/api/saved-quizzes', route(async (req, res) => {
+    const page = pageOptions(req.query);
+    res.json({ ...(await quizzes.listQuizzes(page)), offset: page.offset, limit: page.limit });
+  }));
+
+  // Course documents uploaded before, newest first; paged and searchable like saved quizzes
+  app.get('/api/library', route(async (req, res) => {
+    const page = pageOptions(req.query);
+    res.json({ ...(await library.listDocuments(page)), offset: page.offset, limit: page.limit });
+  }));
+
+  // One library document with its extracted text
+  app.get('/api/library/:documentId', route(async (req, res) => {
+    res.json(await library.getDocument(req.params.documentId));
+  }));
+
+  // Create a player profile - body { name }; keep the returned profileToken to join with it
+  app.post('/api/profiles', route(async (req, res) => {
+    res.json(await profiles.createProfile(req.body.name));
+  }));
+
+  // Profile stats and game history
+  app.get('/api/profiles/:profileId', route(async (req, res) => {
+    res.json(await profiles.getProfile(req.params.profileId));
+  }));
+
+  // Spaced-repetition review of your past mistakes (X-Profile-Token header) - due cards, ?limit=
+  app.get('/api/review/:profileId', route(async (req, res) => {
+    res.json(await reviews.getSession(req.params.profileId, req.get('x-profile-token'), req.query.limit));
+  }));
+
+  // Answer one review card - body { key, answer }
+  app.post('/api/review/:profileId/answer', route(async (req, res) => {
+    const { key, answer } = req.body;
+    res.json(await reviews.answerCard(req.params.profileId, req.get('x-profile-token'), key, answer));
+  }));
+
+  // Save the due cards as a quiz that can be loaded into a room - body { limit }
+  app.post('/api/review/:profileId/quiz', route(async (req, res) => {
+    const { profileId } = req.params;
+    const questions = await reviews.dueQuestions(profileId, req.get('x-profile-token'), req.body.limit);
+    const profile = await profiles.getProfile(profileId);
+    const quizName = `Review for ${profile.name}`;
+    const { quizId, quizToken } = await quizzes.saveQuiz({ name: quizName, questions, fileNames: [] });
+    res.json({ success: true, quizId, quizToken, quizName, numQuestions: questions.length });
+  }));
+
+  // All-time leaderboard by total points, or by best score with ?quizId=; ?offset= & ?limit= page
+  app.get('/api/leaderboard', route(async (req, res) => {
+    const page = pageOptions(req.query);
+    const quizId = typeof req.query.quizId === 'string' ? req.query.quizId : null;
+    res.json({ ...(await profiles.leaderboard({ quizId, ...page })), offset: page.offset, limit: page.limit });
+  }));
+
+  // Create a solo challenge for a saved quiz - body { quizId, name?, settings?, openHours? }
+  app.post('/api/challenges', route(async (req, res) => {
+    res.json(await challenges.createChallenge(req.body));
+  }));
+
+  app.get('/api/challenges/:challengeId', route(async (req, res) => {
+    res.json(await challenges.getChallenge(req.params.challengeId));
+  }));
+
+  // Start playing - body { playerName, profileId?, profileToken? }; returns the attemptToken
+  app.post('/api/challenges/:challengeId/attempts', route(async (req, res) => {
+    res.json(await challenges.startAttempt(req.params.challengeId, req.body));
+  }));
+
+  // Current question of an attempt (X-Attempt-Token header); starts its timer
+  app.get('/api/challenges/:challengeId/attempts/:attemptId/question', route(async (req, res) => {
+    const { challengeId, attemptId } = req.params;
+    res.json(await challenges.getQuestion(challengeId, attemptId, req.get('x-attempt-token')));
+  }));
+
+  // Answer the current question - body { answer }; returns the result and the correct answer
+  app.post('/api/challenges/:challengeId/attempts/:attemptId/answer', route(async (req, res) => {
+    const { challengeId, attemptId } = req.params;
+    res.json(await challenges.submitAnswer(challengeId, attemptId, req.get('x-attempt-token'), req.body.answer));
+  }));
+
+  // Finished attempts, best first; ?offset= & ?limit= page
+  app.get('/api/challenges/:challengeId/leaderboard', route(async (req, res) => {
+    const page = pageOptions(req.query);
+    res.json({ ...(await challenges.leaderboard(req.params.challengeId, page)), offset: page.offset, limit: page.limit });
+  }));
+
+  // Get room state; with X-Player-Token it also counts as a sign of life from that player
+  app.get('/api/room/:roomCode', route(async (req, res) => {
+    const playerToken = req.get('x-player-token');
+    if (playerToken) await engine.touchPlayer(req.params.roomCode, playerToken);
+    res.json(await engine.getRoomState(req.params.roomCode));
+  }));
+
+  // Read-only presenter view for a projector; watching doesn't join the game
+  app.get('/api/spectate/:roomCode', route(async (req, res) => {
+    res.json(await engine.getSpectatorView(req.params.roomCode));
+  }));
+
+  // Join room
+  app.post('/api/join-room/:roomCode', route(async (req, res) => {
+    res.json(await engine.joinRoom(req.params.roomCode, req.body));
+  }));
+
+  // Reconnect with the X-Player-Token of an earlier join, keeping score and answers
+  app.post('/api/rejoin/:roomCode', route(async (req, res) => {
+    res.json(await engine.rejoinRoom(req.params.roomCode, req.get('x-player-token')));
+  }));
+
+  // Suggest topics to focus a quiz on, from the same files, pasted content and library
+  // documents that upload-content takes. Uploaded files are added to the library, so the
+  // quiz can be generated from the returned documentIds without uploading them again.
+  app.post('/api/outline/:roomCode', hostOnly, receiveFiles(contentUpload.array('files', MAX_FILES)), route(async (req, res) => {
+    const selected = await library.loadDocuments(parseDocumentIds(req.body.documentIds));
+    const { content, documents, files } = await extractContent(req.files, req.body.content, selected);
+    const documentIds = await library.addDocuments(documents);
+    if (!content.trim()) {
+      throw httpError(400, files.length > 0 ? 'None of the uploaded files could be read' : 'No content to outline', { files });
+    }
+
+    const provider = getProvider(req.body.provider || req.room.provider);
+    let topics;
+    try {
+      // One excerpt per section, so the outline covers the whole course
+      const digest = outlineDigest(chunkDocuments(documents, MAX_OUTLINE_TOPICS * 2));
+      topics = cleanOutline(await provider.outline({ content: digest, maxTopics: MAX_OUTLINE_TOPICS }));
+    } catch (error) {
+      console.error('Error outlining content:', error);
+      return res.status(500).json({ error: 'Failed to outline content: ' + error.message });
+    }
+
+    res.json({ topics, files, documentIds });
+  }));
+
+  // Upload multiple files and generate quiz. `documentIds` adds documents from the content
+  // library; uploaded files are added to the library. `difficulty` (recall, application or
+  // analysis; a mix if unset) and focus `topics` shape the generated questions.
+  app.post('/api/upload-content/:roomCode', hostOnly, receiveFiles(contentUpload.array('files', MAX_FILES)), route(async (req, res) => {
+    const { roomCode } = req.params;
+    // Checked again when the questions are loaded; this saves generating them for nothing
+    if (req.room.status === 'playing') {
+      throw httpError(409, 'A quiz cannot be loaded while the game is running');
+    }
+    const selected = await library.loadDocuments(parseDocumentIds(req.body.documentIds));
+    const { content, fileNames, documents, files } = await extractContent(req.files, req.body.content, selected);
+    const documentIds = await library.addDocuments(documents);
+
+    const quizName = req.body.quizName || fileNames.join(', ') || 'Untitled Quiz';
+    const numQuestions = parseInt(req.body.numQuestions) || 10;
+    const useExisting = req.body.useExisting; // Quiz ID to use existing questions
+    const mixMode = req.body.mixMode === 'true'; // Mix existing + new questions
+    const mixCount = parseInt(req.body.mixCount) || 5; // How many new questions in mix mode
+    const provider = getProvider(req.body.provider || req.room.provider);
+    const questionTypes = parseQuestionTypes(req.body.questionTypes);
+    const difficulty = parseDifficulty(req.body.difficulty);
+    const topics = parseTopics(req.body.topics);
+
+    try {
+      let questions = [];
+      let report = null;
+
+      // Load existing quiz if specified
+      if (useExisting) {
+        const existingQuiz = await storage.getQuiz(useExisting);
+        if (existingQuiz) {
+          if (mixMode) {
+            // Use some existing questions
+            const shuffled = shuffleInPlace([...existingQuiz.questions]);
+            questions = shuffled.slice(0, numQuestions - mixCount);
+          } else {
+            // Use all existing questions
+            questions = existingQuiz.questions;
+          }
+        }
+      }
+
+      // Generate new questions if needed
+      const needNewQuestions = !useExisting || mixMode;
+      const newQuestionsCount = mixMode ? mixCount : numQuestions;
+
+      if (needNewQuestions && files.length > 0 && fileNames.length === 0 && !content.trim()) {
+        throw httpError(400, 'None of the uploaded files could be read', { files });
+      }
+
+      if (needNewQuestions && content.trim()) {
+        const chunks = chunkDocuments(documents, newQuestionsCount, { topics });
+        const generated = await generateFromChunks(provider, chunks, { existing: questions, types: questionTypes, difficulty, topics });
+        questions = [...questions, ...generated.questions];
+        report = generated.report;
+      }
+
+      // Save the quiz for future use
+      const { quizId, quizToken } = await quizzes.saveQuiz({ name: quizName, questions, fileNames, documentIds });
+
+      questions = await engine.loadQuestions(roomCode, req.get('x-host-token'), questions, {
+        documentIds: documentIds,
+        fileNames: fileNames,
+        quizId: quizId,
+        quizName: quizName
+      });
+
+      res.json({
+        success: true,
+        numQuestions: questions.length,
+        quizId: quizId,
+        quizToken: quizToken,
+        quizName: quizName,
+        report: report,
+        files: files,
+        documentIds: documentIds
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      console.error('Error generating quiz:', error);
+      res.status(500).json({ error: 'Failed to generate quiz: ' + error.message });
+    }
+  }));
+
+  // Load saved quiz into room - optionally only the questions tagged with one of `topics`
+  // and/or with `difficulty`
+  app.post('/api/load-quiz/:roomCode', route(async (req, res) => {
+    const hostToken = req.get('x-host-token');
+    await engine.requireHost(req.params.roomCode, hostToken);
+    const quiz = await quizzes.getQuiz(req.body.quizId);
+    const topics = parseTopics(req.body.topics);
+    const difficulty = parseDifficulty(req.body.difficulty);
+    const matching = filterQuestions(quiz.questions, { topics, difficulty });
+    if (matching.length === 0) {
+      throw httpError(400, 'No questions in this quiz match the chosen topics and difficulty', { topics, difficulty });
+    }
+    const questions = await engine.loadQuestions(req.params.roomCode, hostToken, matching, {
+      quizId: req.body.quizId,
+      quizName: quiz.name,
+      documentIds: quiz.documentIds || []
+    });
+
+    res.json({
+      success: true,
+      numQuestions: questions.length,
+      quizName: quiz.name
+    });
+  }));
+
+  // Change room settings before the game starts - body is any subset of the settings
+  app.put('/api/settings/:roomCode', route(async (req, res) => {
+    res.json(await engine.updateSettings(req.params.roomCode, req.get('x-host-token'), req.body));
+  }));
+
+  // Start game
+  app.post('/api/start-game/:roomCode', route(async (req, res) => {
+    res.json(await engine.startGame(req.params.roomCode, req.get('x-host-token')));
+  }));
+
+  // Host pacing controls - body { action, seconds?, enabled? } (see engine.control)
+  app.post('/api/control/:roomCode', route(async (req, res) => {
+    const { action, ...options } = req.body;
+    res.json(await engine.control(req.params.roomCode, req.get('x-host-token'), action, options));
+  }));
+
+  // Get current question - handles automatic phase transitions
+  app.get('/api/question/:roomCode', route(async (req, res) => {
+    res.json(await engine.getQuestion(req.params.roomCode, req.get('x-player-token')));
+  }));
+
+  // Live event stream - Server-Sent Events relayed from the storage pub/sub. EventSource
+  // can't send headers, so players pass ?playerToken= to stay marked as present.
+  app.get('/api/events/:roomCode', route(async (req, res) => {
+    const { roomCode } = req.params;
+    const playerToken = typeof req.query.playerToken === 'string' ? req.query.playerToken : null;
+    const room = await engine.getRoomState(roomCode);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = null;
+    const send = (type, data) => {
+      if (!closed) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(ticker);
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    // Keep phase transitions moving while anyone is listening
+    const ticker = setInterval(() => engine.tick(roomCode), 1000);
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (playerToken) engine.touchPlayer(roomCode, playerToken).catch(e => console.error('Presence error:', e));
+    }, HEARTBEAT_MS);
+    // End before the serverless time limit; EventSource reconnects on its own
+    const expiry = setTimeout(close, STREAM_MAX_MS);
+    req.on('close', close);
+
+    try {
+      unsubscribe = await storage.subscribe(roomCode, send);
+    } catch (e) {
+      console.error('Subscribe error:', e);
+      return close();
+    }
+    if (closed) return unsubscribe();
+
+    res.write('retry: 2000\n\n');
+    send('connected', { status: room.status, phase: room.phase });
+    if (playerToken) engine.touchPlayer(roomCode, playerToken).catch(e => console.error('Presence error:', e));
+  }));
+
+  // Submit answer
+  app.post('/api/submit-answer/:roomCode', route(async (req, res) => {
+    res.json(await engine.submitAnswer(req.params.roomCode, req.get('x-player-token'), req.body));
+  }));
+
+  // Get results
+  app.get('/api/results/:roomCode/:playerName', route(async (req, res) => {
+    const { roomCode, playerName } = req.params;
+    res.json(await engine.getResults(roomCode, req.get('x-player-token'), playerName));
+  }));
+
+  // Host analytics of a finished game; ?format=csv downloads the full answer matrix
+  app.get('/api/room/:roomCode/analytics', route(async (req, res) => {
+    const { roomCode } = req.params;
+    const hostToken = req.get('x-host-token');
+    if (req.query.format !== 'csv') {
+      res.json(await engine.getAnalytics(roomCode, hostToken));
+      return;
+    }
+    const csv = await engine.getAnswerMatrix(roomCode, hostToken);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`answers-${roomCode}.csv`);
+    res.send(csv);
+  }));
+
+  // Delete a saved quiz
+  app.delete('/api/quiz/:quizId', route(async (req, res) => {
+    await quizzes.deleteQuiz(req.params.quizId, req.get('x-quiz-token'));
+    res.json({ success: true });
+  }));
+
+  // Download a saved quiz as ?format=json|csv|gift|anki
+  app.get('/api/quiz/:quizId/export', route(async (req, res) => {
+    sendExport(res, await quizzes.getQuizForEditing(req.params.quizId, req.get('x-quiz-token')), req.query.format);
+  }));
+
+  // Download the questions of a finished game (any player)
+  app.get('/api/room/:roomCode/export', route(async (req, res) => {
+    sendExport(res, await engine.getFinishedQuiz(req.params.roomCode, req.get('x-player-token')), req.query.format);
+  }));
+
+  // Import a quiz file (or pasted `content`) and save it like a generated quiz
+  app.post('/api/import-quiz', receiveFiles(upload.single('file'), 1), route(async (req, res) => {
+    const fileName = req.file ? req.file.originalname : null;
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!text || !String(text).trim()) {
+      throw httpError(400, 'Upload a quiz file or paste its content');
+    }
+    const format = req.body.format || formatFromFileName(fileName);
+    if (!format) {
+      throw httpError(400, 'Could not tell the format from the file name - choose one of json, csv, gift, anki');
+    }
+
+    const imported = importQuiz(text, format);
+    const quizName = req.body.quizName || imported.name || (fileName ? fileName.replace(/\.[^.]+$/, '') : 'Imported Quiz');
+    const { quizId, quizToken } = await quizzes.saveQuiz({
+      name: quizName,
+      questions: imported.questions,
+      fileNames: fileName ? [fileName] : []
+    });
+
+    res.json({ success: true, quizId, quizToken, quizName, numQuestions: imported.questions.length });
+  }));
+
+  // Quiz editor - everything below needs the owner's X-Quiz-Token and returns the updated quiz
+  app.get('/api/quiz/:quizId', route(async (req, res) => {
+    res.json(await quizzes.getQuizForEditing(req.params.quizId, req.get('x-quiz-token')));
+  }));
+
+  app.patch('/api/quiz/:quizId', route(async (req, res) => {
+    res.json(await quizzes.renameQuiz(req.params.quizId, req.get('x-quiz-token'), req.body.name));
+  }));
+
+  // Add a question (the body is the question); ?position= inserts it before that index
+  app.post('/api/quiz/:quizId/questions', route(async (req, res) => {
+    const { quizId } = req.params;
+    res.json(await quizzes.addQuestion(quizId, req.get('x-quiz-token'), req.body, req.query.position));
+  }));
+
+  app.put('/api/quiz/:quizId/questions/:index', route(async (req, res) => {
+    const { quizId, index } = req.params;
+    res.json(await quizzes.updateQuestion(quizId, req.get('x-quiz-token'), index, req.body));
+  }));
+
+  app.delete('/api/quiz/:quizId/questions/:index', route(async (req, res) => {
+    const { quizId, index } = req.params;
+    res.json(await quizzes.deleteQuestion(quizId, req.get('x-quiz-token'), index));
+  }));
+
+  app.put('/api/quiz/:quizId/order', route(async (req, res) => {
+    res.json(await quizzes.reorderQuestions(req.params.quizId, req.get('x-quiz-token'), req.body.order));
+  }));
+
+  // Replace one question with a new one generated from the same part of the original content
+  app.post('/api/quiz/:quizId/questions/:index/regenerate', route(async (req, res) => {
+    const { quizId, index } = req.params;
+    const provider = getProvider(req.body.provider);
+    res.json(await quizzes.regenerateQuestion(quizId, req.get('x-quiz-token'), index, provider));
+  }));
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,317 @@
+const { generateToken, tokensMatch } = require('./tokens');
+const { httpError } = require('./errors');
+const { validateAnswer, gradeAnswer, shuffleOptions, shuffleInPlace } = require('./questions');
+const { roomSettings, validateSettings, calculatePoints } = require('./settings');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a challenge takes new players, in hours
+const DEFAULT_OPEN_HOURS = 168; // 1 week
+const MAX_OPEN_HOURS = 720; // 30 days
+// Results stay readable this long after a challenge closes
+const RESULTS_KEPT_MS = 7 * 24 * HOUR_MS;
+
+// Same as in rooms: answers sooner than this after the question was shown are flagged
+const MIN_RESPONSE_MS = 1000;
+// Only one answer per question of an attempt gets graded, even if sent twice at once
+const ANSWER_LOCK_MS = 5000;
+
+function leaderboardName(challengeId) {
+  return `challenge:${challengeId}`;
+}
+
+// Who an attempt belongs to for ranking: the profile if there is one, else the name
+function playerKey(attempt) {
+  return attempt.profileId ? `profile:${attempt.profileId}` : `name:${attempt.playerName.toLowerCase()}`;
+}
+
+function ttlSeconds(challenge) {
+  return Math.ceil((challenge.closesAt + RESULTS_KEPT_MS - Date.now()) / 1000);
+}
+
+function answersRevealed(challenge) {
+  return Date.now() >= challenge.closesAt;
+}
+
+function challengeView(challengeId, challenge, now) {
+  return {
+    id: challengeId,
+    name: challenge.name,
+    quizId: challenge.quizId,
+    questionCount: challenge.questions.length,
+    settings: challenge.settings,
+    createdAt: challenge.createdAt,
+    closesAt: challenge.closesAt,
+    open: now < challenge.closesAt
+  };
+}
+
+// Give up on the current question once its time has run out; it scores nothing
+function expireQuestion(attempt, settings, now) {
+  if (attempt.status !== 'playing' || !attempt.questionShownAt) return;
+  if (now - attempt.questionShownAt < settings.questionTime * 1000) return;
+  attempt.streak = 0;
+  nextQuestion(attempt);
+}
+
+function nextQuestion(attempt) {
+  attempt.current++;
+  attempt.questionShownAt = null;
+  if (attempt.current >= attempt.questions.length) {
+    attempt.status = 'finished';
+    attempt.finishedAt = Date.now();
+  }
+}
+
+// Solo play of a saved quiz through a shared link. Each player gets an attempt with the
+// challenge's settings and timing, played whenever they like while the challenge is open;
+// finished attempts go on the challenge's leaderboard (and the player's profile).
+function createChallengeLibrary(storage, { quizzes, profiles, reviews }) {
+  async function loadChallenge(challengeId) {
+    const challenge = await storage.getChallenge(challengeId);
+    if (!challenge) {
+      throw httpError(404, 'Challenge not found');
+    }
+    return challenge;
+  }
+
+  async function loadAttempt(challengeId, attemptId, attemptToken) {
+    const attempt = await storage.getAttempt(challengeId, attemptId);
+    if (!attempt || !tokensMatch(attempt.token, attemptToken)) {
+      throw httpError(401, 'Invalid challenge attempt');
+    }
+    return attempt;
+  }
+
+  // Save the attempt; the first save after it finishes records the result. Only a
+  // player's first attempt finished before the challenge closes is ranked, so neither a
+  // replay nor an attempt finished after the answers are out can use them.
+  async function saveAttempt(challengeId, attemptId, challenge, attempt) {
+    const ttl = ttlSeconds(challenge);
+    if (attempt.status === 'finished' && !attempt.recorded) {
+      attempt.recorded = true;
+      attempt.ranked = attempt.finishedAt < challenge.closesAt &&
+        await storage.acquireLock(`challenge:${challengeId}:${playerKey(attempt)}`, ttl * 1000);
+      if (attempt.ranked) {
+        await storage.setLeaderboardScore(leaderboardName(challengeId), attemptId, attempt.score, ttl);
+      }
+      if (attempt.profileId) await profiles.recordGame(gameFor(challenge, attempt));
+    }
+    // Review cards show the correct answers, so they wait until those are revealed
+    if (attempt.status === 'finished' && attempt.profileId && !attempt.reviewRecorded && answersRevealed(challenge)) {
+      attempt.reviewRecorded = true;
+      await reviews.recordGame(gameFor(challenge, attempt));
+    }
+    await storage.setAttempt(challengeId, attemptId, attempt, ttl);
+  }
+
+  // Profiles and review decks take finished games in the shape of a room
+  function gameFor(challenge, attempt) {
+    return {
+      name: challenge.name,
+      quizId: challenge.quizId,
+      quizName: challenge.quizName,
+      settings: challenge.settings,
+      profiles: { [attempt.playerName]: attempt.profileId },
+      playerAnswers: { [attempt.playerName]: attempt.answers },
+      scores: { [attempt.playerName]: attempt.score }
+    };
+  }
+
+  // The score once the attempt is over, and the graded answers only once the challenge has
+  // closed. Anyone can play under a second name, so answers shown any earlier could be
+  // learned in a throwaway attempt and used in a ranked one.
+  function attemptStatus(challenge, attempt) {
+    const status = {
+      status: attempt.status,
+      answered: attempt.answers.length,
+      totalQuestions: attempt.questions.length
+    };
+    if (attempt.status !== 'finished') return status;
+    const result = { ...status, score: attempt.score, ranked: attempt.ranked };
+    return answersRevealed(challenge) ? { ...result, answers: attempt.answers } : { ...result, answersAt: challenge.closesAt };
+  }
+
+  return {
+    // { quizId, name, settings, openHours } -> { challengeId, closesAt }
+    async createChallenge({ quizId, name, settings, openHours }) {
+      const quiz = await quizzes.getQuiz(quizId);
+      const checked = validateSettings(settings);
+      if (checked.error) {
+        throw httpError(400, `Invalid settings: ${checked.error}`);
+      }
+      const hours = openHours === undefined || openHours === null ? DEFAULT_OPEN_HOURS : Number(openHours);
+      if (!Number.isInteger(hours) || hours < 1 || hours > MAX_OPEN_HOURS) {
+        throw httpError(400, `openHours must be a whole number from 1 to ${MAX_OPEN_HOURS}`);
+      }
+
+      const challengeId = Math.random().toString(36).substring(2, 10);
+      const now = Date.now();
+      const count = checked.settings.questionCount || quiz.questions.length;
+      const trimmed = typeof name === 'string' ? name.trim().substring(0, 100) : '';
+      const challenge = {
+        name: trimmed || quiz.name,
+        quizId: quizId,
+        quizName: quiz.name,
+        // Everyone gets the same questions, and later edits to the quiz don't change them
+        questions: shuffleInPlace([...quiz.questions]).slice(0, count),
+        settings: checked.settings,
+        createdAt: now,
+        closesAt: now + hours * HOUR_MS
+      };
+      await storage.setChallenge(challengeId, challenge, ttlSeconds(challenge));
+      return { challengeId, closesAt: challenge.closesAt };
+    },
+
+    async getChallenge(challengeId) {
+      return challengeView(challengeId, await loadChallenge(challengeId), Date.now());
+    },
+
+    // A profileId with its profileToken puts the result on the player's profile too
+    async startAttempt(challengeId, { playerName, profileId, profileToken }) {
+      const challenge = await loadChallenge(challengeId);
+      if (Date.now() >= challenge.closesAt) {
+        throw httpError(410, 'This challenge has closed');
+      }
+      playerName = typeof playerName === 'string' ? playerName.trim() : '';
+      if (!playerName || playerName.length > 30) {
+        throw httpError(400, 'Player name must be 1-30 characters');
+      }
+      if (profileId) {
+        await profiles.checkProfile(profileId, profileToken);
+      }
+
+      // Same questions for everyone, each in their own random order
+      const settings = roomSettings(challenge);
+      let questions = shuffleInPlace([...challenge.questions]);
+      if (settings.shuffleOptions) {
+        questions = questions.map(shuffleOptions);
+      }
+
+      const attemptId = Math.random().toString(36).substring(2, 10);
+      const attemptToken = generateToken();
+      const attempt = {
+        playerName: playerName,
+        token: attemptToken,
+        profileId: profileId || null,
+        questions: questions,
+        current: 0,
+        questionShownAt: null,
+        answers: [],
+        score: 0,
+        streak: 0,
+        status: 'playing',
+        startedAt: Date.now()
+      };
+      await storage.setAttempt(challengeId, attemptId, attempt, ttlSeconds(challenge));
+      return { attemptId, attemptToken, totalQuestions: questions.length, settings };
+    },
+
+    // The attempt's current question; the timer starts the first time it is fetched
+    async getQuestion(challengeId, attemptId, attemptToken) {
+      const challenge = await loadChallenge(challengeId);
+      const attempt = await loadAttempt(challengeId, attemptId, attemptToken);
+      const settings = roomSettings(challenge);
+      const now = Date.now();
+
+      expireQuestion(attempt, settings, now);
+      if (attempt.status === 'finished') {
+        await saveAttempt(challengeId, attemptId, challenge, attempt);
+        return attemptStatus(challenge, attempt);
+      }
+      if (!attempt.questionShownAt) {
+        attempt.questionShownAt = now;
+      }
+      await saveAttempt(challengeId, attemptId, challenge, attempt);
+
+      const question = attempt.questions[attempt.current];
+      return {
+        ...attemptStatus(challenge, attempt),
+        questionNum: attempt.current + 1,
+        type: question.type || 'multiple-choice',
+        question: question.question,
+        options: question.options,
+        timeLimit: settings.questionTime,
+        timeLeft: Math.max(0, Math.ceil((attempt.questionShownAt + settings.questionTime * 1000 - now) / 1000))
+      };
+    },
+
+    // Grade the current question and score it like a room would; the results come with
+    // the finished attempt
+    async submitAnswer(challengeId, attemptId, attemptToken, answer) {
+      const receivedAt = Date.now();
+      const challenge = await loadChallenge(challengeId);
+      const attempt = await loadAttempt(challengeId, attemptId, attemptToken);
+      const settings = roomSettings(challenge);
+
+      if (attempt.status !== 'playing' || !attempt.questionShownAt) {
+        throw httpError(400, 'Cannot submit answer now');
+      }
+      const leftMs = attempt.questionShownAt + settings.questionTime * 1000 - receivedAt;
+      if (leftMs <= 0) {
+        expireQuestion(attempt, settings, receivedAt);
+        await saveAttempt(challengeId, attemptId, challenge, attempt);
+        throw httpError(400, 'Time is up for this question');
+      }
+
+      const question = attempt.questions[attempt.current];
+      const given = validateAnswer(question, answer);
+      if (given === null) {
+        throw httpError(400, 'Invalid answer');
+      }
+      if (!(await storage.acquireLock(`attempt:${attemptId}:${attempt.current}`, ANSWER_LOCK_MS))) {
+        throw httpError(409, 'This question has already been answered');
+      }
+
+      const credit = gradeAnswer(question, given);
+      const isCorrect = credit === 1;
+      const responseMs = receivedAt - attempt.questionShownAt;
+      attempt.streak = isCorrect ? attempt.streak + 1 : 0;
+      const points = calculatePoints(settings, credit, Math.min(settings.questionTime, leftMs / 1000), attempt.streak);
+
+      attempt.answers.push({
+        questionIndex: attempt.current,
+        type: question.type || 'multiple-choice',
+        question: question.question,
+        playerAnswer: given,
+        correctAnswer: question.correct,
+        options: question.options,
+        explanation: question.explanation,
+        source: question.source || null,
+        isCorrect: isCorrect,
+        credit: credit,
+        points: points,
+        streak: attempt.streak,
+        responseMs: responseMs,
+        suspicious: responseMs < MIN_RESPONSE_MS
+      });
+      attempt.score += points;
+      nextQuestion(attempt);
+      await saveAttempt(challengeId, attemptId, challenge, attempt);
+
+      return { ...attemptStatus(challenge, attempt), submitted: true };
+    },
+
+    // Each player's first finished attempt, best first; { offset, limit } -> { entries, total }
+    async leaderboard(challengeId, options) {
+      const challenge = await loadChallenge(challengeId);
+      const { total, items } = await storage.listLeaderboard(leaderboardName(challengeId), options);
+      const attempts = await Promise.all(items.map(item => storage.getAttempt(challengeId, item.id)));
+      const offset = options.offset || 0;
+      return {
+        entries: items
+          .map((item, i) => (attempts[i] ? {
+            rank: offset + i + 1,
+            playerName: attempts[i].playerName,
+            score: item.score,
+            finishedAt: attempts[i].finishedAt
+          } : null))
+          .filter(Boolean),
+        total,
+        open: Date.now() < challenge.closesAt
+      };
+    }
+  };
+}
+
+module.exports = { createChallengeLibrary };
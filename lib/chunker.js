@@ -0,0 +1,157 @@
+const { mentionsTopic } = require('./topics');
+
+// One generation call can take this much text
+const MAX_CHUNK_CHARS = 15000;
+// Chunks smaller than this are merged with their neighbours
+const MIN_CHUNK_CHARS = 2000;
+
+// Markdown headings, numbered headings ("2.3 Virtualization") and short ALL-CAPS lines
+const HEADING = /^(#{1,6}\s+\S.*|\d+(\.\d+)*\.?\s+[A-Z][^.!?]{0,80}|[A-Z][A-Z0-9 ,&:/-]{3,60})$/;
+
+function cleanHeading(line) {
+  return line.replace(/^#+\s*/, '').trim();
+}
+
+// Pages for PDFs (slides for slide decks), heading sections for everything else
+function splitUnits(document) {
+  if (document.pages) {
+    const pageName = document.pageName || 'page';
+    return document.pages.map((text, i) => ({ label: `${pageName} ${i + 1}`, page: i + 1, pageName, text }));
+  }
+
+  const units = [];
+  let current = { label: 'introduction', text: '' };
+
+  for (const line of document.text.split('\n')) {
+    const trimmed = line.trim();
+    if (HEADING.test(trimmed)) {
+      if (current.text.trim()) {
+        units.push(current);
+        current = { label: cleanHeading(trimmed), text: '' };
+      } else {
+        current.label = cleanHeading(trimmed);
+      }
+    }
+    current.text += line + '\n';
+  }
+  if (current.text.trim()) units.push(current);
+
+  return units;
+}
+
+// Break a unit that is too big for one call at paragraph boundaries
+function splitOversized(unit) {
+  if (unit.text.length <= MAX_CHUNK_CHARS) return [unit];
+
+  const parts = [];
+  let text = '';
+  for (const paragraph of unit.text.split(/\n\s*\n/)) {
+    if (text && text.length + paragraph.length > MAX_CHUNK_CHARS) {
+      parts.push(text);
+      text = '';
+    }
+    // A single paragraph over the limit gets cut hard
+    for (let i = 0; i < paragraph.length; i += MAX_CHUNK_CHARS) {
+      const piece = paragraph.substring(i, i + MAX_CHUNK_CHARS);
+      if (text && text.length + piece.length > MAX_CHUNK_CHARS) {
+        parts.push(text);
+        text = '';
+      }
+      text += piece + '\n\n';
+    }
+  }
+  if (text.trim()) parts.push(text);
+
+  return parts.map((partText, i) => ({ ...unit, label: `${unit.label} (part ${i + 1})`, text: partText }));
+}
+
+// Pages or heading sections of one document, numbered in order. The numbering only
+// depends on the document's text, so a range of them can be found again later.
+function documentUnits(document) {
+  return splitUnits(document).flatMap(splitOversized).map((unit, index) => ({ ...unit, index }));
+}
+
+// The text of units `first` to `last` of a document (see chunkDocuments), or null if the
+// document doesn't have them
+function sectionText(document, [first, last]) {
+  const units = documentUnits(document).slice(first, last + 1);
+  return units.length > 0 ? units.map(u => u.text).join('\n\n') : null;
+}
+
+function labelFor(units) {
+  const first = units[0];
+  const last = units[units.length - 1];
+  if (first.page) {
+    return first.page === last.page ? `${first.pageName} ${first.page}` : `${first.pageName}s ${first.page}-${last.page}`;
+  }
+  return units.length === 1 ? first.label : `${first.label} – ${last.label}`;
+}
+
+// Largest-remainder split of `total` questions in proportion to chunk size
+function allocate(chunks, total) {
+  const totalChars = chunks.reduce((sum, c) => sum + c.text.length, 0) || 1;
+  const shares = chunks.map(c => (c.text.length / totalChars) * total);
+  const counts = shares.map(Math.floor);
+  let remaining = total - counts.reduce((a, b) => a + b, 0);
+
+  const byRemainder = shares.map((share, i) => ({ i, rest: share - counts[i] })).sort((a, b) => b.rest - a.rest);
+  for (const { i } of byRemainder) {
+    if (remaining <= 0) break;
+    counts[i]++;
+    remaining--;
+  }
+  return counts;
+}
+
+// Split documents into sections (per file, by page or heading), merge neighbours up to a
+// size that suits the question count, and decide how many questions each section gets.
+// With focus `topics`, only pages and sections that mention one are kept (all of them if
+// none do). Returns [{ file, section, units, text, questionCount }], skipping sections that
+// get none; `units` is the [first, last] range of the document's units (see sectionText).
+function chunkDocuments(documents, numQuestions, { topics = [] } = {}) {
+  let perDocument = documents
+    .map(doc => ({ name: doc.name, units: documentUnits(doc) }))
+    .filter(doc => doc.units.length > 0);
+
+  if (topics.length > 0) {
+    const focused = perDocument
+      .map(doc => ({ ...doc, units: doc.units.filter(unit => mentionsTopic(`${unit.label}\n${unit.text}`, topics)) }))
+      .filter(doc => doc.units.length > 0);
+    if (focused.length > 0) perDocument = focused;
+  }
+
+  const totalChars = perDocument.reduce((sum, doc) => sum + doc.units.reduce((s, u) => s + u.text.length, 0), 0);
+  const target = Math.min(MAX_CHUNK_CHARS, Math.max(MIN_CHUNK_CHARS, Math.ceil(totalChars / Math.max(1, numQuestions))));
+
+  const chunks = [];
+  for (const doc of perDocument) {
+    let group = [];
+    let size = 0;
+    const flush = () => {
+      if (group.length === 0) return;
+      chunks.push({
+        file: doc.name,
+        section: labelFor(group),
+        units: [group[0].index, group[group.length - 1].index],
+        text: group.map(u => u.text).join('\n\n')
+      });
+      group = [];
+      size = 0;
+    };
+
+    for (const unit of doc.units) {
+      if (group.length > 0 && size + unit.text.length > MAX_CHUNK_CHARS) flush();
+      group.push(unit);
+      size += unit.text.length;
+      if (size >= target) flush();
+    }
+    flush();
+  }
+
+  const counts = allocate(chunks, numQuestions);
+  return chunks
+    .map((chunk, i) => ({ ...chunk, questionCount: counts[i] }))
+    .filter(chunk => chunk.questionCount > 0);
+}
+
+module.exports = { chunkDocuments, sectionText };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { getExtractor, extensionOf, SUPPORTED_EXTENSIONS } = require('./extractors');
+
+// Upload limits for course content. Vercel turns away request bodies over 4.5 MB before
+// the function runs, so a whole upload (files, pasted text and form fields) stays under 4 MB.
+const MAX_FILES = 10;
+const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+const MAX_FILE_BYTES = MAX_UPLOAD_BYTES;
+// Text kept from one file; a whole textbook is more than any quiz needs
+const MAX_FILE_CHARS = 1000000;
+
+// Cut extracted text down to MAX_FILE_CHARS, dropping whole pages where there are pages
+function truncate(text, pages) {
+  if (text.length <= MAX_FILE_CHARS) return { text, pages, truncated: false };
+  if (!pages) return { text: text.substring(0, MAX_FILE_CHARS), pages, truncated: true };
+
+  const kept = [];
+  let size = 0;
+  for (const page of pages) {
+    if (kept.length > 0 && size + page.length > MAX_FILE_CHARS) break;
+    kept.push(page.substring(0, MAX_FILE_CHARS));
+    size += page.length + 2;
+  }
+  return { text: kept.join('\n\n'), pages: kept, truncated: true };
+}
+
+async function extractFile(file) {
+  const extractor = getExtractor(file.originalname);
+  if (!extractor) {
+    throw new Error(`Unsupported file type (use ${SUPPORTED_EXTENSIONS.map(ext => '.' + ext).join(', ')})`);
+  }
+  const extracted = await extractor.extract(file.buffer);
+  if (!extracted.text.trim()) {
+    throw new Error('No text found (scanned documents need OCR first)');
+  }
+  return { ...truncate(extracted.text, extracted.pages), pageName: extracted.pages ? extractor.pageName : null };
+}
+
+// Turn uploaded files and pasted notes, plus any documents picked from the content
+// library, into course text. Besides the combined text, returns one entry per source
+// document (with per-page text for PDFs and per-slide text for slide decks) for chunking,
+// and a report of what came out of each file. Files that can't be read are reported and
+// left out. Uploaded documents carry the `hash` of the file they came from, pasted notes
+// the hash of their text.
+async function extractContent(files = [], pastedContent = '', libraryDocuments = []) {
+  let content = '';
+  const fileNames = [];
+  const documents = [];
+  const report = [];
+
+  for (const document of libraryDocuments) {
+    fileNames.push(document.name);
+    documents.push(document);
+    content += `\n\n=== ${document.name} ===\n${document.text}`;
+  }
+
+  for (const file of files) {
+    const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const entry = {
+      file: file.originalname,
+      format: extensionOf(file.originalname) || null,
+      bytes: file.size,
+      characters: 0,
+      pages: null,
+      truncated: false,
+      documentId: null,
+      error: null
+    };
+    report.push(entry);
+
+    const same = documents.find(d => d.hash === hash);
+    if (same) {
+      entry.documentId = hash;
+      entry.error = `Same file as ${same.name}`;
+      continue;
+    }
+
+    let extracted;
+    try {
+      extracted = await extractFile(file);
+    } catch (e) {
+      entry.error = e.message;
+      continue;
+    }
+    entry.characters = extracted.text.length;
+    entry.pages = extracted.pages ? extracted.pages.length : null;
+    entry.truncated = extracted.truncated;
+
+    fileNames.push(file.originalname);
+    entry.documentId = hash;
+
+    const document = {
+      name: file.originalname,
+      text: extracted.text,
+      pages: extracted.pages,
+      hash: hash,
+      format: entry.format,
+      bytes: file.size
+    };
+    if (extracted.pageName) document.pageName = extracted.pageName;
+    documents.push(document);
+    content += `\n\n=== ${file.originalname} ===\n${extracted.text}`;
+  }
+
+  // Add pasted content, hashed like a file so it is kept in the library too
+  if (pastedContent) {
+    const hash = crypto.createHash('sha256').update(pastedContent).digest('hex');
+    documents.push({
+      name: 'Pasted Content',
+      text: pastedContent,
+      pages: null,
+      hash: hash,
+      format: 'txt',
+      bytes: Buffer.byteLength(pastedContent)
+    });
+    content += '\n\n=== Pasted Content ===\n' + pastedContent;
+  }
+
+  return { content, fileNames, documents, files: report };
+}
+
+module.exports = { extractContent, MAX_FILES, MAX_FILE_BYTES, MAX_UPLOAD_BYTES };
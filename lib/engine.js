@@ -0,0 +1,794 @@
+const { generateToken, tokensMatch } = require('./tokens');
+const { httpError } = require('./errors');
+const { PROVIDER_NAMES } = require('./providers');
+const { validateAnswer, gradeAnswer, shuffleOptions, originalAnswer, shuffleInPlace } = require('./questions');
+const { roomSettings, validateSettings, calculatePoints } = require('./settings');
+const { validateTeams, smallestTeam, teamScores, winningTeam } = require('./teams');
+const { gameAnalytics, answerMatrixCsv } = require('./analytics');
+const { leaderboard, revealStats } = require('./spectator');
+const { createProfileLibrary } = require('./profiles');
+const { createReviewLibrary } = require('./review');
+
+// Answers arriving sooner than this after the question was fetched are flagged
+const MIN_RESPONSE_MS = 1000;
+
+// Host "add time" bounds, in seconds
+const DEFAULT_EXTRA_TIME = 10;
+const MAX_EXTRA_TIME = 120;
+
+// Players not heard from (poll, answer or event stream heartbeat) for this long are
+// shown as away. They keep their place, score and answers and come back on their next request.
+const AWAY_AFTER_MS = 45000;
+// A player's last-seen time is only saved when it is at least this old, so polling
+// doesn't write the room every second
+const SEEN_WRITE_MS = 10000;
+
+function findPlayerByToken(room, token) {
+  const tokens = room.playerTokens || {};
+  return Object.keys(tokens).find(name => tokensMatch(tokens[name], token)) || null;
+}
+
+// Time left in the current phase; frozen while the host has paused
+function remainingMs(room, now) {
+  return room.paused ? room.pausedRemainingMs : room.phaseEndsAt - now;
+}
+
+// What players see for the current question (no answer until the reveal)
+function questionPayload(room, now) {
+  const question = room.questions[room.currentQuestion];
+  const payload = {
+    questionNum: room.currentQuestion + 1,
+    totalQuestions: room.questions.length,
+    type: question.type || 'multiple-choice',
+    question: question.question,
+    options: question.options,
+    phase: room.phase,
+    status: room.status,
+    scores: room.scores,
+    teamScores: teamScores(room)
+  };
+
+  payload.timeLeft = Math.max(0, Math.ceil(remainingMs(room, now) / 1000));
+  payload.paused = Boolean(room.paused);
+  payload.autoAdvance = Boolean(room.autoAdvance);
+
+  if (room.phase === 'answering') {
+    payload.timeLimit = roomSettings(room).questionTime;
+  } else {
+    payload.correctAnswer = question.correct;
+    payload.explanation = question.explanation;
+    payload.source = question.source || null;
+  }
+  return payload;
+}
+
+// Apply due timed phase transitions to the room in place. Returns the
+// [type, data] events to publish once the change is saved.
+function advanceState(room, now) {
+  const events = [];
+  if (room.status !== 'playing' || room.paused) return events;
+
+  if (room.phase === 'answering' && now >= room.phaseEndsAt) {
+    startReveal(room, now, events);
+  }
+  if (room.phase === 'revealing' && now >= room.phaseEndsAt) {
+    startQuestion(room, room.currentQuestion + 1, now, events);
+  }
+  return events;
+}
+
+// Phase changes shared by the timer and the host controls; each pushes its event
+function startQuestion(room, index, now, events) {
+  room.currentQuestion = index;
+  room.currentQuestionAnswers = {};
+  room.questionNonces = {};
+  room.paused = false;
+
+  if (room.currentQuestion >= room.questions.length) {
+    finishGame(room, events);
+    return;
+  }
+
+  room.phase = 'answering';
+  room.questionStartTime = now;
+  room.phaseEndsAt = now + roomSettings(room).questionTime * 1000;
+  events.push(['question', questionPayload(room, now)]);
+}
+
+function startReveal(room, now, events) {
+  room.phase = 'revealing';
+  room.paused = false;
+  room.revealStartTime = now;
+  room.phaseEndsAt = now + roomSettings(room).revealTime * 1000;
+  // Letting the time run out breaks a streak too
+  room.streaks = room.streaks || {};
+  for (const player of room.players) {
+    if (room.currentQuestionAnswers[player.name] === undefined) room.streaks[player.name] = 0;
+  }
+  events.push(['reveal', questionPayload(room, now)]);
+}
+
+function finishGame(room, events) {
+  room.status = 'finished';
+  room.paused = false;
+  events.push(['game-over', { scores: room.scores, teamScores: teamScores(room) }]);
+}
+
+// Away players don't hold up an auto-advance
+function everyoneAnswered(room) {
+  const present = room.players.filter(p => !p.away);
+  return present.length > 0 && present.every(p => room.currentQuestionAnswers[p.name] !== undefined);
+}
+
+// Record that `playerName` is connected. Returns the presence event to publish if they were away.
+function markSeen(room, playerName, now) {
+  const player = playerName && room.players.find(p => p.name === playerName);
+  if (!player) return [];
+  if (now - (player.lastSeenAt || 0) >= SEEN_WRITE_MS || player.away) {
+    player.lastSeenAt = now;
+  }
+  if (!player.away) return [];
+  player.away = false;
+  return [['presence', { players: room.players }]];
+}
+
+// Mark players who have gone quiet as away (never removed, so they can come back)
+function markStale(room, now) {
+  let changed = false;
+  for (const player of room.players) {
+    if (!player.away && now - (player.lastSeenAt || player.joinedAt) >= AWAY_AFTER_MS) {
+      player.away = true;
+      changed = true;
+    }
+  }
+  return changed ? [['presence', { players: room.players }]] : [];
+}
+
+// Room lifecycle, phase machine and scoring on top of a storage backend
+// (see lib/storage). Methods throw httpError for anything the caller got wrong.
+function createEngine(storage) {
+  const profiles = createProfileLibrary(storage);
+  const reviews = createReviewLibrary(storage, profiles);
+
+  async function loadRoom(roomCode) {
+    const room = await storage.getRoom(roomCode);
+    if (!room) {
+      throw httpError(404, 'Room not found');
+    }
+    return room;
+  }
+
+  // Public rooms are listed in the lobby until the game starts
+  function roomListing(room) {
+    if (!room.isPublic || room.status !== 'waiting') return null;
+    return {
+      name: room.name,
+      createdAt: room.createdAt,
+      summary: { name: room.name, playerCount: room.players.length, hasQuiz: room.questions.length > 0, createdAt: room.createdAt }
+    };
+  }
+
+  async function saveRoom(roomCode, room) {
+    room.lastUpdate = Date.now();
+    await storage.setRoom(roomCode, room, roomListing(room));
+  }
+
+  // Atomic read-modify-write. `mutate` gets the latest copy of the room and may run
+  // more than once if another request wrote in between, so it must be synchronous and
+  // free of side effects - publish events after this resolves. Throwing aborts the update.
+  async function updateRoom(roomCode, mutate) {
+    const updated = await storage.updateRoom(roomCode, mutate, roomListing);
+    if (!updated) {
+      throw httpError(404, 'Room not found');
+    }
+    return updated;
+  }
+
+  // `room` is the saved copy; when the game ends its stats and mistakes go to the player profiles
+  async function publishAll(roomCode, events, room) {
+    // Record first so the leaderboards are up to date when players see the results
+    if (events.some(([type]) => type === 'game-over')) {
+      await profiles.recordGame(room);
+      await reviews.recordGame(room);
+    }
+    for (const [type, data] of events) {
+      await storage.publish(roomCode, type, data);
+    }
+  }
+
+  function checkHost(room, hostToken) {
+    if (!tokensMatch(room.hostToken, hostToken)) {
+      throw httpError(403, 'Only the host can do this');
+    }
+  }
+
+  function checkPlayer(room, playerToken) {
+    const playerName = findPlayerByToken(room, playerToken);
+    if (!playerName) {
+      throw httpError(401, 'Invalid player session');
+    }
+    return playerName;
+  }
+
+  async function requireHost(roomCode, hostToken) {
+    const room = await loadRoom(roomCode);
+    checkHost(room, hostToken);
+    return room;
+  }
+
+  async function requireFinishedGame(roomCode, hostToken) {
+    const room = await requireHost(roomCode, hostToken);
+    if (room.status !== 'finished') {
+      throw httpError(409, 'Analytics are available once the game is over');
+    }
+    return room;
+  }
+
+  async function requirePlayer(roomCode, playerToken) {
+    const room = await loadRoom(roomCode);
+    return { room, playerName: checkPlayer(room, playerToken) };
+  }
+
+  return {
+    requireHost,
+    requirePlayer,
+
+    // `teams` turns on team mode: true for two default teams, or { names, scoring }
+    async createRoom({ roomName, isPublic, provider, settings, teams }) {
+      if (provider && !PROVIDER_NAMES.includes(provider)) {
+        throw httpError(400, `Unknown quiz provider "${provider}"`);
+      }
+      const checked = validateSettings(settings);
+      if (checked.error) {
+        throw httpError(400, `Invalid settings: ${checked.error}`);
+      }
+      const teamMode = validateTeams(teams);
+      if (teamMode.error) {
+        throw httpError(400, `Invalid teams: ${teamMode.error}`);
+      }
+
+      const roomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+      const hostToken = generateToken();
+      const room = {
+        name: roomName || 'Quiz Room',
+        isPublic: isPublic !== false,
+        provider: provider || null,
+        settings: checked.settings,
+        teams: teamMode.teams,
+        hostToken: hostToken,
+        playerTokens: {},
+        players: [],
+        questions: [],
+        currentQuestion: 0,
+        scores: {},
+        streaks: {},
+        playerAnswers: {},
+        profiles: {},
+        status: 'waiting',
+        phase: 'waiting',
+        // Content library entries behind the loaded quiz; the text itself stays in the library
+        documentIds: [],
+        createdAt: Date.now()
+      };
+
+      await saveRoom(roomCode, room);
+      return { roomCode, hostToken };
+    },
+
+    // Newest first; { offset, limit, search } -> { rooms, total }
+    async listPublicRooms(options) {
+      const { total, items } = await storage.listPublicRooms(options);
+      return { rooms: items.map(({ id, summary }) => ({ code: id, ...summary })), total };
+    },
+
+    async getRoomState(roomCode) {
+      const room = await loadRoom(roomCode);
+      return {
+        name: room.name,
+        isPublic: room.isPublic,
+        provider: room.provider,
+        settings: roomSettings(room),
+        teams: room.teams || null,
+        players: room.players,
+        scores: room.scores,
+        teamScores: teamScores(room),
+        status: room.status,
+        phase: room.phase,
+        paused: Boolean(room.paused),
+        autoAdvance: Boolean(room.autoAdvance),
+        hasQuiz: room.questions.length > 0,
+        quizId: room.quizId || null,
+        quizName: room.quizName || null,
+        questionCount: room.questions.length,
+        currentQuestion: room.currentQuestion,
+        totalQuestions: room.questions.length,
+        lastUpdate: room.lastUpdate
+      };
+    },
+
+    // A profileId with its profileToken links the player to a profile for stats.
+    // In team mode `team` picks a team; without one the player goes on the smallest.
+    // New players can join a running game only if the room's lateJoin setting allows it;
+    // they start from the current question with no points for the ones before.
+    async joinRoom(roomCode, { playerName, playerToken, profileId, profileToken, team }) {
+      playerName = typeof playerName === 'string' ? playerName.trim() : '';
+
+      if (!playerName || playerName.length > 30) {
+        throw httpError(400, 'Player name must be 1-30 characters');
+      }
+      if (profileId) {
+        await profiles.checkProfile(profileId, profileToken);
+      }
+
+      const newToken = generateToken();
+      const now = Date.now();
+      const { room } = await updateRoom(roomCode, room => {
+        // Taking over an existing name requires that player's token
+        const existingToken = room.playerTokens[playerName];
+        if (existingToken && !tokensMatch(existingToken, playerToken)) {
+          throw httpError(409, 'That name is already taken in this room');
+        }
+        if (!existingToken && room.status === 'finished') {
+          throw httpError(409, 'This game is already over');
+        }
+        if (!existingToken && room.status === 'playing' && !roomSettings(room).lateJoin) {
+          throw httpError(409, 'This game has already started and the host is not letting new players in');
+        }
+        room.playerTokens[playerName] = existingToken || newToken;
+
+        let player = room.players.find(p => p.name === playerName);
+        if (!player) {
+          player = { name: playerName, joinedAt: now };
+          if (room.status === 'playing') player.joinedAtQuestion = room.currentQuestion;
+          room.players.push(player);
+        }
+        player.lastSeenAt = now;
+        player.away = false;
+
+        if (room.teams) {
+          if (team && !room.teams.names.includes(team)) {
+            throw httpError(400, `Unknown team "${team}"`, { teams: room.teams.names });
+          }
+          if (team && player.team && team !== player.team && room.status !== 'waiting') {
+            throw httpError(409, 'Teams cannot be changed once the game has started');
+          }
+          player.team = team || player.team || smallestTeam(room);
+        }
+
+        if (room.scores[playerName] === undefined) {
+          room.scores[playerName] = 0;
+        }
+
+        if (!room.playerAnswers[playerName]) {
+          room.playerAnswers[playerName] = [];
+        }
+
+        if (profileId) {
+          room.profiles = room.profiles || {};
+          room.profiles[playerName] = profileId;
+        }
+      });
+      await storage.publish(roomCode, 'player-joined', {
+        players: room.players,
+        scores: room.scores,
+        teamScores: teamScores(room)
+      });
+
+      return {
+        success: true,
+        playerName: playerName,
+        playerToken: room.playerTokens[playerName],
+        team: room.players.find(p => p.name === playerName).team || null,
+        players: room.players,
+        scores: room.scores,
+        teamScores: teamScores(room),
+        status: room.status
+      };
+    },
+
+    // Pick a session back up after a reload or a dropped connection, with nothing but
+    // the player token: who the player is, their score and every answer so far
+    async rejoinRoom(roomCode, playerToken) {
+      const now = Date.now();
+      const { room, result } = await updateRoom(roomCode, room => {
+        const playerName = checkPlayer(room, playerToken);
+        return { playerName, events: markSeen(room, playerName, now) };
+      });
+      await publishAll(roomCode, result.events, room);
+
+      const { playerName } = result;
+      return {
+        success: true,
+        playerName: playerName,
+        team: room.players.find(p => p.name === playerName).team || null,
+        players: room.players,
+        scores: room.scores,
+        teamScores: teamScores(room),
+        score: room.scores[playerName] || 0,
+        myAnswers: room.playerAnswers[playerName] || [],
+        status: room.status,
+        phase: room.phase
+      };
+    },
+
+    // Keep a player from being marked away while they only listen to the event stream
+    async touchPlayer(roomCode, playerToken) {
+      const now = Date.now();
+      const updated = await storage.updateRoom(roomCode, room => markSeen(room, findPlayerByToken(room, playerToken), now), roomListing);
+      if (updated) {
+        await publishAll(roomCode, updated.result, updated.room);
+      }
+    },
+
+    // Replace the room's questions (freshly generated or from a saved quiz)
+    async loadQuestions(roomCode, hostToken, questions, extra = {}) {
+      const shuffled = shuffleInPlace([...questions]);
+      const { room } = await updateRoom(roomCode, room => {
+        checkHost(room, hostToken);
+        // Swapping questions under a running game would leave currentQuestion past the end
+        if (room.status === 'playing') {
+          throw httpError(409, 'A quiz cannot be loaded while the game is running');
+        }
+        Object.assign(room, extra);
+        room.questions = shuffled;
+      });
+      await storage.publish(roomCode, 'quiz-ready', { questionCount: room.questions.length });
+      return room.questions;
+    },
+
+    // Change settings in the lobby; only the given fields change
+    async updateSettings(roomCode, hostToken, settings) {
+      const { room } = await updateRoom(roomCode, room => {
+        checkHost(room, hostToken);
+        if (room.status === 'playing') {
+          throw httpError(409, 'Settings cannot be changed while the game is running');
+        }
+        const checked = validateSettings(settings, roomSettings(room));
+        if (checked.error) {
+          throw httpError(400, `Invalid settings: ${checked.error}`);
+        }
+        room.settings = checked.settings;
+      });
+      await storage.publish(roomCode, 'settings', { settings: room.settings });
+      return { success: true, settings: room.settings };
+    },
+
+    async startGame(roomCode, hostToken) {
+      const { room, result: events } = await updateRoom(roomCode, room => {
+        checkHost(room, hostToken);
+
+        if (room.questions.length === 0 || room.status === 'playing') {
+          throw httpError(400, 'Cannot start game');
+        }
+
+        // Questions were shuffled on load, so the first questionCount are a random subset
+        const { questionCount, shuffleOptions: shuffle } = roomSettings(room);
+        if (questionCount) {
+          room.questions = room.questions.slice(0, questionCount);
+        }
+        if (shuffle) {
+          room.questions = room.questions.map(shuffleOptions);
+        }
+
+        room.status = 'playing';
+        room.streaks = {};
+        for (let player of room.players) {
+          room.scores[player.name] = 0;
+          room.playerAnswers[player.name] = [];
+        }
+
+        const events = [];
+        startQuestion(room, 0, Date.now(), events);
+        return events;
+      });
+      await publishAll(roomCode, events, room);
+      return { success: true };
+    },
+
+    // Current question for a player; handles automatic phase transitions
+    async getQuestion(roomCode, playerToken) {
+      const now = Date.now();
+      const freshNonce = generateToken();
+      // Nothing is written unless a transition is due or a nonce is issued
+      const { room, result: events } = await updateRoom(roomCode, room => {
+        const playerName = findPlayerByToken(room, playerToken);
+        // Both carry the same player list, so one presence event is enough
+        const presence = [...markSeen(room, playerName, now), ...markStale(room, now)].slice(0, 1);
+        const events = [...presence, ...advanceState(room, now)];
+
+        // Hand each player a single-use nonce for this question; submitAnswer requires it.
+        // None while paused, so a player who arrives during the pause gets one on resume.
+        if (room.status === 'playing' && room.phase === 'answering' && !room.paused && playerName &&
+            room.currentQuestionAnswers[playerName] === undefined && !room.questionNonces[playerName]) {
+          room.questionNonces[playerName] = { nonce: freshNonce, issuedAt: now };
+        }
+        return events;
+      });
+      await publishAll(roomCode, events, room);
+
+      if (room.status === 'finished') {
+        return { status: 'finished', scores: room.scores, teamScores: teamScores(room) };
+      }
+
+      if (room.status !== 'playing') {
+        return { status: room.status };
+      }
+
+      const payload = questionPayload(room, now);
+
+      if (room.phase === 'answering') {
+        const playerName = findPlayerByToken(room, playerToken);
+        const issued = playerName && room.currentQuestionAnswers[playerName] === undefined && room.questionNonces[playerName];
+        payload.nonce = issued ? issued.nonce : null;
+      }
+
+      return payload;
+    },
+
+    // `answer` depends on the question type (see lib/questions.js); plain
+    // `answerIndex` is still accepted for single-choice questions
+    async submitAnswer(roomCode, playerToken, { answer, answerIndex, nonce }) {
+      const receivedAt = Date.now();
+      const { room, result: outcome } = await updateRoom(roomCode, room => {
+        const playerName = checkPlayer(room, playerToken);
+        const presence = markSeen(room, playerName, receivedAt);
+
+        if (room.status !== 'playing' || room.phase !== 'answering') {
+          throw httpError(400, 'Cannot submit answer now');
+        }
+        // The clock is frozen during a pause, so an answer now would score full speed points
+        if (room.paused) {
+          throw httpError(409, 'The game is paused');
+        }
+
+        // The phase only flips on a poll or tick, so check the deadline directly
+        const leftMs = remainingMs(room, receivedAt);
+        if (leftMs <= 0) {
+          throw httpError(400, 'Time is up for this question');
+        }
+
+        if (room.currentQuestionAnswers[playerName] !== undefined) {
+          return null;
+        }
+
+        const issued = room.questionNonces[playerName];
+        if (!issued || !tokensMatch(issued.nonce, nonce)) {
+          throw httpError(403, 'Invalid or missing question nonce');
+        }
+
+        const question = room.questions[room.currentQuestion];
+        const given = validateAnswer(question, answer !== undefined ? answer : answerIndex);
+        if (given === null) {
+          throw httpError(400, 'Invalid answer');
+        }
+
+        // Score purely from the server's receive time; extra time never earns extra points
+        const settings = roomSettings(room);
+        const timeLeft = Math.min(settings.questionTime, leftMs / 1000);
+        const responseMs = receivedAt - issued.issuedAt;
+        const credit = gradeAnswer(question, given);
+        const isCorrect = credit === 1;
+        if (!room.streaks) room.streaks = {};
+        room.streaks[playerName] = isCorrect ? (room.streaks[playerName] || 0) + 1 : 0;
+        const points = calculatePoints(settings, credit, timeLeft, room.streaks[playerName]);
+
+        room.currentQuestionAnswers[playerName] = given;
+        delete room.questionNonces[playerName];
+
+        if (!room.playerAnswers[playerName]) {
+          room.playerAnswers[playerName] = [];
+        }
+        room.playerAnswers[playerName].push({
+          questionIndex: room.currentQuestion,
+          type: question.type || 'multiple-choice',
+          question: question.question,
+          playerAnswer: given,
+          correctAnswer: question.correct,
+          options: question.options,
+          // The same answer against the options in their original order
+          optionOrder: question.optionOrder || null,
+          originalAnswer: originalAnswer(question, given),
+          originalCorrect: originalAnswer(question, question.correct),
+          explanation: question.explanation,
+          source: question.source || null,
+          isCorrect: isCorrect,
+          credit: credit,
+          points: points,
+          streak: room.streaks[playerName],
+          responseMs: responseMs,
+          suspicious: responseMs < MIN_RESPONSE_MS
+        });
+
+        room.scores[playerName] = (room.scores[playerName] || 0) + points;
+
+        const events = presence;
+        if (room.autoAdvance && everyoneAnswered(room)) {
+          startReveal(room, receivedAt, events);
+        }
+        return { given, events };
+      });
+
+      if (outcome === null) {
+        return { alreadyAnswered: true };
+      }
+
+      const { given, events } = outcome;
+      await storage.publish(roomCode, 'score-update', {
+        scores: room.scores,
+        teamScores: teamScores(room),
+        answeredCount: Object.keys(room.currentQuestionAnswers).length
+      });
+      await publishAll(roomCode, events, room);
+
+      return {
+        submitted: true,
+        myAnswer: given,
+        scores: room.scores,
+        teamScores: teamScores(room)
+      };
+    },
+
+    // Host pacing: pause, resume, add-time, next (reveal now / next question),
+    // skip (next question without a reveal), end, auto-advance ({ enabled })
+    async control(roomCode, hostToken, action, options = {}) {
+      const now = Date.now();
+      const { room, result: events } = await updateRoom(roomCode, room => {
+        checkHost(room, hostToken);
+        if (room.status !== 'playing') {
+          throw httpError(400, 'The game is not running');
+        }
+
+        const events = [];
+        const timerEvent = () => events.push(['timer', questionPayload(room, now)]);
+
+        switch (action) {
+          case 'pause':
+            if (!room.paused) {
+              room.pausedRemainingMs = Math.max(0, room.phaseEndsAt - now);
+              room.paused = true;
+              timerEvent();
+            }
+            break;
+          case 'resume':
+            if (room.paused) {
+              room.phaseEndsAt = now + room.pausedRemainingMs;
+              room.paused = false;
+              timerEvent();
+            }
+            break;
+          case 'add-time': {
+            const seconds = options.seconds === undefined ? DEFAULT_EXTRA_TIME : Number(options.seconds);
+            if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_EXTRA_TIME) {
+              throw httpError(400, `seconds must be a whole number from 1 to ${MAX_EXTRA_TIME}`);
+            }
+            if (room.paused) room.pausedRemainingMs += seconds * 1000;
+            else room.phaseEndsAt = Math.max(room.phaseEndsAt, now) + seconds * 1000;
+            timerEvent();
+            break;
+          }
+          case 'next':
+            if (room.phase === 'answering') startReveal(room, now, events);
+            else startQuestion(room, room.currentQuestion + 1, now, events);
+            break;
+          case 'skip':
+            startQuestion(room, room.currentQuestion + 1, now, events);
+            break;
+          case 'end':
+            finishGame(room, events);
+            break;
+          case 'auto-advance':
+            room.autoAdvance = Boolean(options.enabled);
+            if (room.autoAdvance && room.phase === 'answering' && everyoneAnswered(room)) {
+              startReveal(room, now, events);
+            } else {
+              timerEvent();
+            }
+            break;
+          default:
+            throw httpError(400, `Unknown action "${action}"`);
+        }
+        return events;
+      });
+      await publishAll(roomCode, events, room);
+
+      return { success: true, status: room.status, phase: room.phase, paused: Boolean(room.paused), autoAdvance: Boolean(room.autoAdvance) };
+    },
+
+    async getResults(roomCode, playerToken, playerName) {
+      const auth = await requirePlayer(roomCode, playerToken);
+      const room = auth.room;
+
+      if (auth.playerName !== playerName) {
+        throw httpError(403, 'You can only view your own results');
+      }
+
+      const sortedScores = Object.entries(room.scores).sort((a, b) => b[1] - a[1]);
+
+      // Impossibly fast answers, for everyone to see
+      const flagged = [];
+      for (const [name, answers] of Object.entries(room.playerAnswers)) {
+        for (const answer of answers) {
+          if (answer.suspicious) {
+            flagged.push({ playerName: name, questionIndex: answer.questionIndex, responseMs: answer.responseMs });
+          }
+        }
+      }
+
+      return {
+        scores: room.scores,
+        winner: sortedScores[0] || ['No winner', 0],
+        teamScores: teamScores(room),
+        winningTeam: winningTeam(room),
+        myAnswers: room.playerAnswers[playerName] || [],
+        flagged: flagged,
+        status: room.status
+      };
+    },
+
+    // The presenter view. Needs no token and shows nothing the players can't see: the
+    // answer and how the room answered only once the question is revealed. Like a
+    // player's poll it also applies due phase transitions.
+    async getSpectatorView(roomCode) {
+      const now = Date.now();
+      const { room, result: events } = await updateRoom(roomCode, room => advanceState(room, now));
+      await publishAll(roomCode, events, room);
+
+      const view = {
+        name: room.name,
+        status: room.status,
+        phase: room.phase,
+        playerCount: room.players.length,
+        hasQuiz: room.questions.length > 0,
+        leaderboard: leaderboard(room),
+        teamScores: teamScores(room)
+      };
+      if (room.status === 'playing') {
+        // Scores are in the leaderboard already
+        const { scores, ...question } = questionPayload(room, now);
+        view.question = question;
+        view.answeredCount = Object.keys(room.currentQuestionAnswers).length;
+        if (room.phase === 'revealing') {
+          view.answerStats = revealStats(room);
+        }
+      }
+      return view;
+    },
+
+    // The questions of a finished game, for players to take away
+    async getFinishedQuiz(roomCode, playerToken) {
+      const { room } = await requirePlayer(roomCode, playerToken);
+      if (room.status !== 'finished') {
+        throw httpError(409, 'Questions can be exported once the game is over');
+      }
+      return { name: room.name, questions: room.questions };
+    },
+
+    // Per-question stats of a finished game, for the host
+    async getAnalytics(roomCode, hostToken) {
+      return gameAnalytics(await requireFinishedGame(roomCode, hostToken));
+    },
+
+    // Every player's answers to every question of a finished game, as CSV
+    async getAnswerMatrix(roomCode, hostToken) {
+      return answerMatrixCsv(await requireFinishedGame(roomCode, hostToken));
+    },
+
+    // Drive timed transitions without a client poll; one caller per room per second wins
+    async tick(roomCode) {
+      try {
+        if (!(await storage.acquireLock(`tick:${roomCode}`, 900))) return;
+        const updated = await storage.updateRoom(roomCode, room => {
+          const now = Date.now();
+          return [...markStale(room, now), ...advanceState(room, now)];
+        }, roomListing);
+        if (updated) {
+          await publishAll(roomCode, updated.result, updated.room);
+        }
+      } catch (e) {
+        console.error('Room tick error:', e);
+      }
+    }
+  };
+}
+
+module.exports = { createEngine };
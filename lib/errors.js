@@ -0,0 +1,9 @@
+// Errors carrying an HTTP status; routes turn these into { error, ...details } responses
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,38 @@
+const { readPdf } = require('./pdf');
+const { readDocx, readPptx } = require('./office');
+const { htmlToText, markdownToText } = require('./markup');
+
+// Course content extractors by file extension. Each one implements
+//   extract(buffer) -> { text, pages } (pages: per-page text, or null)
+// and throws when the file can't be read. `pageName` is what a page is called in
+// question sources ("page 3", "slide 3").
+function readText(buffer) {
+  // Binary files renamed to .txt would otherwise go to the generator as garbage
+  if (buffer.includes(0)) throw new Error('This does not look like a text file');
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+const extractors = {
+  pdf: { extract: readPdf, pageName: 'page' },
+  docx: { extract: readDocx },
+  pptx: { extract: readPptx, pageName: 'slide' },
+  md: { extract: buffer => ({ text: markdownToText(readText(buffer)), pages: null }) },
+  markdown: { extract: buffer => ({ text: markdownToText(readText(buffer)), pages: null }) },
+  html: { extract: buffer => ({ text: htmlToText(readText(buffer)), pages: null }) },
+  htm: { extract: buffer => ({ text: htmlToText(readText(buffer)), pages: null }) },
+  txt: { extract: buffer => ({ text: readText(buffer), pages: null }) }
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(extractors);
+
+function extensionOf(fileName) {
+  const match = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+// The extractor for a file name, or null for unsupported types
+function getExtractor(fileName) {
+  return extractors[extensionOf(fileName)] || null;
+}
+
+module.exports = { getExtractor, extensionOf, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,98 @@
+const path = require('path');
+const { openZip } = require('./zip');
+const { decodeEntities, tidy } = require('./markup');
+
+// Office documents are ZIP archives of XML parts; no part of a real course file comes
+// anywhere near this once inflated
+const MAX_PART_BYTES = 50 * 1024 * 1024;
+
+// Text of each <w:p>/<a:p> paragraph, one per line
+function paragraphs(xml, prefix) {
+  const paragraph = new RegExp(`<${prefix}:p\\b[^>]*?(?:/>|>([\\s\\S]*?)</${prefix}:p>)`, 'g');
+  const run = new RegExp(`<${prefix}:t\\b[^>]*?(?:/>|>([\\s\\S]*?)</${prefix}:t>)|<${prefix}:(tab|br)\\b[^>]*/>`, 'g');
+  const lines = [];
+  for (const [, body = ''] of xml.matchAll(paragraph)) {
+    let text = '';
+    for (const [, runText = '', breakTag] of body.matchAll(run)) {
+      text += breakTag === 'tab' ? '\t' : breakTag === 'br' ? '\n' : decodeEntities(runText);
+    }
+    lines.push({ body, text });
+  }
+  return lines;
+}
+
+// Word: paragraphs in order, with heading styles turned into "# " headings
+function readDocx(buffer) {
+  const zip = openZip(buffer, { maxEntryBytes: MAX_PART_BYTES });
+  const xml = zip.read('word/document.xml');
+  if (xml === null) throw new Error('Not a Word document (word/document.xml is missing)');
+
+  const lines = paragraphs(xml, 'w').map(({ body, text }) => {
+    const style = body.match(/<w:pStyle\s+w:val="(?:Heading|heading\s*)(\d)"/);
+    const isTitle = /<w:pStyle\s+w:val="Title"/.test(body);
+    if ((style || isTitle) && text.trim()) return `${'#'.repeat(style ? Number(style[1]) : 1)} ${text.trim()}`;
+    return text;
+  });
+  return { text: tidy(lines.join('\n')), pages: null };
+}
+
+// Relationship id -> part path, resolved against the part the .rels file belongs to
+function relationships(zip, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = zip.read(relsName) || '';
+  const result = {};
+  for (const [tag] of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = tag.match(/\bId="([^"]+)"/);
+    const target = tag.match(/\bTarget="([^"]+)"/);
+    const type = tag.match(/\bType="([^"]+)"/);
+    if (!id || !target || /TargetMode="External"/.test(tag)) continue;
+    result[id[1]] = {
+      type: type ? type[1] : '',
+      part: target[1].startsWith('/')
+        ? target[1].substring(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partName), target[1]))
+    };
+  }
+  return result;
+}
+
+// Slide parts in presentation order (hidden slides included); falls back to file order
+function slideParts(zip) {
+  const presentation = zip.read('ppt/presentation.xml') || '';
+  const rels = relationships(zip, 'ppt/presentation.xml');
+  const ordered = [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, id]) => rels[id] && rels[id].part)
+    .filter(part => part && zip.names.includes(part));
+  if (ordered.length > 0) return ordered;
+
+  const number = name => Number(name.match(/(\d+)\.xml$/)[1]);
+  return zip.names.filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name)).sort((a, b) => number(a) - number(b));
+}
+
+// The speaker notes of a slide: the body placeholder of its notes page
+function speakerNotes(zip, slidePart) {
+  const notes = Object.values(relationships(zip, slidePart)).find(rel => rel.type.endsWith('/notesSlide'));
+  const xml = notes ? zip.read(notes.part) : null;
+  if (!xml) return '';
+  return [...xml.matchAll(/<p:sp\b[\s\S]*?<\/p:sp>/g)]
+    .map(([shape]) => shape)
+    .filter(shape => /<p:ph\b[^>]*\btype="body"/.test(shape))
+    .map(shape => paragraphs(shape, 'a').map(p => p.text).join('\n'))
+    .join('\n');
+}
+
+// PowerPoint: one page per slide, its text followed by its speaker notes
+function readPptx(buffer) {
+  const zip = openZip(buffer, { maxEntryBytes: MAX_PART_BYTES });
+  const parts = slideParts(zip);
+  if (parts.length === 0) throw new Error('No slides found in the presentation');
+
+  const pages = parts.map(part => {
+    const slideText = tidy(paragraphs(zip.read(part), 'a').map(p => p.text).join('\n'));
+    const notes = tidy(speakerNotes(zip, part));
+    return notes ? `${slideText}\n\nSpeaker notes:\n${notes}` : slideText;
+  });
+  return { text: pages.join('\n\n'), pages };
+}
+
+module.exports = { readDocx, readPptx };
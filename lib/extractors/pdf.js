@@ -0,0 +1,24 @@
+const PAGE_BREAK = '\f';
+
+// Same as pdf-parse's default renderer, plus a form feed so pages can be told apart
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text + PAGE_BREAK;
+    });
+}
+
+async function readPdf(buffer) {
+  const pdfParse = require('pdf-parse');
+  const data = await pdfParse(buffer, { pagerender: renderPage });
+  const pages = data.text.split(PAGE_BREAK).map(p => p.trim());
+  if (pages.length > 0 && !pages[pages.length - 1]) pages.pop();
+  return { text: pages.join('\n\n'), pages };
+}
+
+module.exports = { readPdf };
@@ -0,0 +1,71 @@
+const zlib = require('zlib');
+
+// Just enough of the ZIP format to read the XML parts of .docx and .pptx files:
+// stored and deflated entries, no ZIP64, no encryption.
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+function findEndOfDirectory(buffer) {
+  // The end record is 22 bytes plus a comment of up to 64 KiB
+  const stop = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let i = buffer.length - 22; i >= stop; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_DIRECTORY) return i;
+  }
+  throw new Error('Not a valid ZIP archive');
+}
+
+// Entry name -> reader. Each read(name) inflates one entry and refuses to produce more
+// than maxEntryBytes, so a small archive can't expand into gigabytes.
+function openZip(buffer, { maxEntryBytes }) {
+  if (buffer.length < 22) throw new Error('Not a valid ZIP archive');
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      flags: buffer.readUInt16LE(offset + 8),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  function read(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.flags & 1) throw new Error('Encrypted files are not supported');
+    if (entry.size > maxEntryBytes) throw new Error(`${name} is too large`);
+
+    const header = entry.localOffset;
+    if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_HEADER) {
+      throw new Error('Corrupt ZIP entry');
+    }
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data.toString('utf8');
+    if (entry.method !== 8) {
+      throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes }).toString('utf8');
+    } catch (e) {
+      // The sizes in the directory can lie; the output limit can't
+      throw new Error(e.code === 'ERR_BUFFER_TOO_LARGE' ? `${name} is too large` : `Corrupt ZIP entry ${name}`);
+    }
+  }
+
+  return { names: [...entries.keys()], read };
+}
+
+module.exports = { openZip };
@@ -0,0 +1,519 @@
+const { validateQuestion, normalizeText } = require('./questions');
+const { httpError } = require('./errors');
+
+// Import/export of quizzes. Each format has an exporter (quiz -> text) and a parser
+// (text -> raw questions tagged with the line they start on). Imports are validated
+// like generated questions; every problem is reported with its line.
+
+const JSON_FORMAT = 'cloud-quiz-battle';
+const JSON_VERSION = 1;
+
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+const CSV_COLUMNS = ['type', 'question', 'option_a', 'option_b', 'option_c', 'option_d', 'option_e', 'option_f',
+  'correct', 'explanation', 'source_file', 'source_section'];
+
+function plainOption(option) {
+  return option.replace(/^[A-F]\) /, '');
+}
+
+// ---- JSON: our own schema ----
+
+function exportJson(quiz) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    name: quiz.name,
+    exportedAt: new Date().toISOString(),
+    questions: quiz.questions.map(q => ({
+      type: q.type || 'multiple-choice',
+      question: q.question,
+      options: q.options.map(plainOption),
+      correct: q.correct,
+      explanation: q.explanation || '',
+      ...(q.topic ? { topic: q.topic } : {}),
+      ...(q.difficulty ? { difficulty: q.difficulty } : {}),
+      ...(q.source ? { source: q.source } : {})
+    }))
+  }, null, 2) + '\n';
+}
+
+// Line of each top-level entry in the questions array, so errors can point at it
+function jsonQuestionLines(text) {
+  const lines = [];
+  const start = text.search(/"questions"\s*:\s*\[/);
+  if (start === -1) return lines;
+
+  let depth = 0;
+  let inString = false;
+  let line = text.substring(0, start).split('\n').length;
+  for (let i = text.indexOf('[', start) + 1; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n') line++;
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') {
+      if (depth === 0) lines.push(line);
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) break;
+      depth--;
+    }
+  }
+  return lines;
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const position = Number((e.message.match(/position (\d+)/) || [])[1]);
+    const line = Number.isInteger(position) ? text.substring(0, position).split('\n').length : 1;
+    return { errors: [{ line, message: `Invalid JSON: ${e.message}` }] };
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.questions)) {
+    return { errors: [{ line: 1, message: 'Expected an object with a "questions" list' }] };
+  }
+  if (data.format !== undefined && data.format !== JSON_FORMAT) {
+    return { errors: [{ line: 1, message: `Unknown format "${data.format}"` }] };
+  }
+  if (data.version !== JSON_VERSION) {
+    return { errors: [{ line: 1, message: `Unsupported version ${JSON.stringify(data.version)} (expected ${JSON_VERSION})` }] };
+  }
+
+  const lines = jsonQuestionLines(text);
+  return {
+    name: typeof data.name === 'string' ? data.name : null,
+    entries: data.questions.map((raw, i) => ({ line: lines[i] || 1, raw }))
+  };
+}
+
+// ---- CSV: one question per row, header required ----
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function correctToText(question) {
+  const type = question.type || 'multiple-choice';
+  if (type === 'short-answer') return question.correct.join('|');
+  if (Array.isArray(question.correct)) return question.correct.map(i => LETTERS[i]).join(';');
+  return LETTERS[question.correct];
+}
+
+function exportCsv(quiz) {
+  const rows = quiz.questions.map(q => {
+    const options = q.options.map(plainOption);
+    const source = q.source || {};
+    return [
+      q.type || 'multiple-choice',
+      q.question,
+      ...LETTERS.map((letter, i) => options[i] || ''),
+      correctToText(q),
+      q.explanation || '',
+      source.file || '',
+      source.section || ''
+    ];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 4180 records (quoted fields may span lines), each with the line it starts on
+function readCsvRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    return { error: { line: recordLine, message: 'Unterminated quoted field' } };
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  return { records: records.filter(r => r.fields.some(f => f.trim() !== '')) };
+}
+
+function parseCsv(text) {
+  const { records, error } = readCsvRecords(text);
+  if (error) return { errors: [error] };
+  if (records.length === 0) {
+    return { errors: [{ line: 1, message: 'The file is empty' }] };
+  }
+
+  const header = records[0].fields.map(h => h.trim().toLowerCase());
+  const missing = ['question', 'correct'].filter(c => !header.includes(c));
+  if (missing.length > 0) {
+    return { errors: [{ line: records[0].line, message: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+  const column = (fields, name) => {
+    const index = header.indexOf(name);
+    return index === -1 ? '' : (fields[index] || '').trim();
+  };
+
+  const entries = records.slice(1).map(({ line, fields }) => {
+    const type = column(fields, 'type') || 'multiple-choice';
+    const correctText = column(fields, 'correct');
+    const raw = {
+      type,
+      question: column(fields, 'question'),
+      options: LETTERS.map(l => column(fields, `option_${l.toLowerCase()}`)).filter(Boolean),
+      correct: type === 'short-answer'
+        ? correctText.split('|')
+        : (type === 'multi-select' || type === 'ordering' ? correctText.split(/[;,]/) : correctText),
+      explanation: column(fields, 'explanation')
+    };
+    const sourceFile = column(fields, 'source_file');
+    if (sourceFile) raw.source = { file: sourceFile, section: column(fields, 'source_section') };
+    return { line, raw };
+  });
+  return { entries };
+}
+
+// ---- Moodle GIFT ----
+
+function giftEscape(text) {
+  return String(text).replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+}
+
+function giftUnescape(text) {
+  return text.replace(/\\(.)/g, (match, ch) => (ch === 'n' ? '\n' : ch)).trim();
+}
+
+// Each correct answer of a multiple-answer question earns an equal share
+function giftWeight(count) {
+  return Number((100 / count).toFixed(5));
+}
+
+function exportGift(quiz) {
+  const blocks = quiz.questions.map((q, i) => {
+    const type = q.type || 'multiple-choice';
+    const title = `::Q${i + 1}:: ${giftEscape(q.question)}`;
+    const feedback = q.explanation ? `\n\t####${giftEscape(q.explanation)}` : '';
+    const options = q.options.map(plainOption);
+
+    if (type === 'ordering') {
+      return `// Question ${i + 1} skipped: GIFT has no ordering questions\n// ${q.question.replace(/\n/g, ' ')}`;
+    }
+    if (type === 'true-false') {
+      return `${title} {${q.correct === 0 ? 'TRUE' : 'FALSE'}${feedback}\n}`;
+    }
+    if (type === 'short-answer') {
+      return `${title} {\n${q.correct.map(a => `\t=${giftEscape(a)}`).join('\n')}${feedback}\n}`;
+    }
+    if (type === 'multi-select') {
+      const weight = giftWeight(q.correct.length);
+      const answers = options.map((o, j) => `\t~%${q.correct.includes(j) ? weight : -100}%${giftEscape(o)}`);
+      return `${title} {\n${answers.join('\n')}${feedback}\n}`;
+    }
+    const answers = options.map((o, j) => `\t${j === q.correct ? '=' : '~'}${giftEscape(o)}`);
+    return `${title} {\n${answers.join('\n')}${feedback}\n}`;
+  });
+  const category = `$CATEGORY: ${quiz.name.replace(/\n/g, ' ')}`;
+  return [category, ...blocks].join('\n\n') + '\n';
+}
+
+// Index of the first unescaped `char` at or after `from`, or -1
+function findUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text.startsWith(char, i)) return i;
+  }
+  return -1;
+}
+
+// Split "=a ~b ~%50%c" into { marker, weight, text } answers, dropping per-answer feedback
+function giftAnswers(body) {
+  const answers = [];
+  let current = null;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\') {
+      if (current) current.text += ch + (body[i + 1] || '');
+      i++;
+    } else if (ch === '=' || ch === '~') {
+      current = { marker: ch, text: '' };
+      answers.push(current);
+    } else if (current) {
+      current.text += ch;
+    }
+  }
+
+  return answers.map(answer => {
+    let text = answer.text;
+    const hash = findUnescaped(text, '#');
+    if (hash !== -1) text = text.substring(0, hash);
+    let weight = answer.marker === '=' ? 100 : 0;
+    const match = text.match(/^\s*%(-?\d+(\.\d+)?)%/);
+    if (match) {
+      weight = Number(match[1]);
+      text = text.substring(match[0].length);
+    }
+    return { marker: answer.marker, weight, text: text, arrow: findUnescaped(text, '->') !== -1 };
+  });
+}
+
+function parseGiftBlock(block) {
+  let text = block.replace(/^\s*::(?:[^:]|\\:)*?::/, '');
+  const open = findUnescaped(text, '{');
+  if (open === -1) {
+    return { error: 'Missing {answers}' };
+  }
+  const close = findUnescaped(text, '}', open);
+  if (close === -1) {
+    return { error: 'Missing closing }' };
+  }
+
+  const before = text.substring(0, open).replace(/^\s*\[(html|markdown|moodle|plain)\]/, '');
+  const after = text.substring(close + 1).trim();
+  // Text after the answers is Moodle's "missing word" style
+  const question = giftUnescape(after ? `${before.trim()} _____ ${after}` : before);
+  let body = text.substring(open + 1, close);
+
+  let explanation = '';
+  const general = findUnescaped(body, '####');
+  if (general !== -1) {
+    explanation = giftUnescape(body.substring(general + 4));
+    body = body.substring(0, general);
+  }
+  body = body.trim();
+
+  if (!body) return { error: 'Essay questions are not supported' };
+  if (body.startsWith('#')) return { error: 'Numerical questions are not supported' };
+
+  const trueFalse = body.match(/^(T|F|TRUE|FALSE)\b/i);
+  if (trueFalse) {
+    return { raw: { type: 'true-false', question, options: ['True', 'False'], correct: /^t/i.test(trueFalse[1]) ? 0 : 1, explanation } };
+  }
+
+  const answers = giftAnswers(body);
+  if (answers.length === 0) return { error: 'No answers found' };
+  if (answers.some(a => a.arrow)) return { error: 'Matching questions are not supported' };
+
+  const options = answers.map(a => giftUnescape(a.text));
+  if (answers.every(a => a.marker === '=')) {
+    return { raw: { type: 'short-answer', question, correct: options, explanation } };
+  }
+
+  const correct = answers.map((a, i) => (a.weight > 0 ? i : -1)).filter(i => i !== -1);
+  const weighted = answers.some(a => a.marker === '~' && a.weight !== 0);
+  const type = weighted || correct.length > 1 ? 'multi-select' : 'multiple-choice';
+  return { raw: { type, question, options, correct: type === 'multi-select' ? correct : correct[0], explanation } };
+}
+
+function parseGift(text) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  const errors = [];
+  let name = null;
+  let block = [];
+  let blockLine = 0;
+
+  const flush = () => {
+    if (block.length === 0) return;
+    const result = parseGiftBlock(block.join('\n'));
+    if (result.error) errors.push({ line: blockLine, message: result.error });
+    else entries.push({ line: blockLine, raw: result.raw });
+    block = [];
+  };
+
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed.startsWith('$CATEGORY:')) {
+      flush();
+      name = trimmed.substring('$CATEGORY:'.length).trim().split('/').pop() || name;
+      return;
+    }
+    if (!trimmed) {
+      // A blank line ends a question unless we are still inside its {answers}
+      const joined = block.join('\n');
+      const open = findUnescaped(joined, '{');
+      if (open === -1 || findUnescaped(joined, '}', open) !== -1) flush();
+      return;
+    }
+    if (block.length === 0) blockLine = i + 1;
+    block.push(line);
+  });
+  flush();
+
+  return { name, entries, errors };
+}
+
+// ---- Anki: tab-separated Front / Back / Tags ----
+
+function ankiHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+}
+
+function ankiText(html) {
+  return html
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+function exportAnki(quiz) {
+  const rows = quiz.questions.map(q => {
+    const type = q.type || 'multiple-choice';
+    const front = [ankiHtml(q.question), ...(q.options.length ? ['', ...q.options.map(ankiHtml)] : [])].join('<br>');
+    const answers = type === 'short-answer'
+      ? q.correct
+      : (Array.isArray(q.correct) ? q.correct : [q.correct]).map(i => q.options[i]);
+    const back = [answers.map(ankiHtml).join('<br>'), ...(q.explanation ? ['', ankiHtml(q.explanation)] : [])].join('<br>');
+    return [front, back, `quiz::${type}`].join('\t');
+  });
+  return ['#separator:tab', '#html:true', '#tags column:3', ...rows].join('\n') + '\n';
+}
+
+function parseAnki(text) {
+  const entries = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.startsWith('#')) return;
+    const [front, back, tags = ''] = line.split('\t');
+    if (back === undefined) {
+      errors.push({ line: i + 1, message: 'Expected a tab between the front and back' });
+      return;
+    }
+
+    // Front: question, blank line, "A) ..." options. Back: answers, blank line, explanation.
+    const frontLines = ankiText(front).split('\n').map(l => l.trim());
+    const options = frontLines.filter(l => /^[A-F]\) /.test(l));
+    const question = frontLines.filter(l => l && !/^[A-F]\) /.test(l)).join('\n');
+    const [answerPart, ...rest] = ankiText(back).split(/\n\s*\n/);
+    const answers = answerPart.split('\n').map(l => l.trim()).filter(Boolean);
+    const explanation = rest.join('\n\n').trim();
+
+    const tagged = (tags.match(/quiz::([a-z-]+)/) || [])[1];
+    let type = tagged;
+    if (!type) {
+      if (options.length === 0) type = 'short-answer';
+      else if (options.length === 2 && options.map(o => normalizeText(plainOption(o))).join() === 'true,false') type = 'true-false';
+      else type = answers.length > 1 ? 'multi-select' : 'multiple-choice';
+    }
+
+    const correct = type === 'short-answer'
+      ? answers
+      : answers.map(a => (a.match(/^([A-F])\) /) || [null, a])[1]);
+    entries.push({
+      line: i + 1,
+      raw: { type, question, options, correct: type === 'multiple-choice' || type === 'true-false' ? correct[0] : correct, explanation }
+    });
+  });
+
+  return { entries, errors };
+}
+
+const FORMATS = {
+  json: { extension: 'json', contentType: 'application/json', exportQuiz: exportJson, parse: parseJson },
+  csv: { extension: 'csv', contentType: 'text/csv', exportQuiz: exportCsv, parse: parseCsv },
+  gift: { extension: 'gift.txt', contentType: 'text/plain', exportQuiz: exportGift, parse: parseGift },
+  anki: { extension: 'tsv', contentType: 'text/tab-separated-values', exportQuiz: exportAnki, parse: parseAnki }
+};
+
+function getFormat(name) {
+  const format = FORMATS[name];
+  if (!format) {
+    throw httpError(400, `Unknown format "${name}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+// Guess the format from a file name when none is given
+function formatFromFileName(fileName) {
+  const lower = String(fileName || '').toLowerCase();
+  if (lower.endsWith('.json')) return 'json';
+  if (lower.endsWith('.csv')) return 'csv';
+  if (lower.endsWith('.gift') || lower.endsWith('.gift.txt')) return 'gift';
+  if (lower.endsWith('.tsv')) return 'anki';
+  return null;
+}
+
+// { body, fileName, contentType } ready to send as a download
+function exportQuiz(quiz, formatName) {
+  const format = getFormat(formatName);
+  const slug = normalizeText(quiz.name).replace(/ /g, '-').substring(0, 60) || 'quiz';
+  return {
+    body: format.exportQuiz(quiz),
+    fileName: `${slug}.${format.extension}`,
+    contentType: `${format.contentType}; charset=utf-8`
+  };
+}
+
+// Parse and validate an import. Resolves to { name, questions } or throws a 400
+// whose `errors` list every malformed question as { line, message }.
+function importQuiz(text, formatName) {
+  const format = getFormat(formatName);
+  const parsed = format.parse(String(text).replace(/^\uFEFF/, ''));
+  const errors = [...(parsed.errors || [])];
+  const questions = [];
+  const seen = new Map();
+
+  for (const { line, raw } of parsed.entries || []) {
+    const result = validateQuestion(raw);
+    if (result.error) {
+      errors.push({ line, message: result.error });
+      continue;
+    }
+    const key = normalizeText(result.question.question);
+    if (seen.has(key)) {
+      errors.push({ line, message: `Duplicate of the question on line ${seen.get(key)}` });
+      continue;
+    }
+    seen.set(key, line);
+    questions.push(result.question);
+  }
+
+  if (errors.length === 0 && questions.length === 0) {
+    errors.push({ line: 1, message: 'No questions found' });
+  }
+  if (errors.length > 0) {
+    errors.sort((a, b) => a.line - b.line);
+    throw httpError(400, `Import failed: ${errors.length} problem(s) found`, { errors });
+  }
+  return { name: parsed.name || null, questions };
+}
+
+module.exports = { FORMATS, exportQuiz, importQuiz, formatFromFileName, csvField };
@@ -0,0 +1,108 @@
+const { validateQuestions, normalizeText } = require('./questions');
+
+const DEFAULT_TYPE = 'multiple-choice';
+
+// Re-prompt for the shortfall at most this many times in total
+const MAX_ATTEMPTS = 3;
+
+// Ask the provider (see lib/providers) for questions of the given types about the course
+// content, at one `difficulty` (null for a mix) and limited to focus `topics` if any.
+// Every question is validated; invalid and duplicate ones (also against `existing`) are
+// dropped and the shortfall is re-requested. Resolves to { questions, report }.
+async function generateQuestions(provider, content, numQuestions, { existing = [], types = [DEFAULT_TYPE], difficulty = null, topics = [] } = {}) {
+  const questions = [];
+  const report = { provider: provider.name, requested: numQuestions, attempts: 0, repaired: 0, dropped: [] };
+
+  while (questions.length < numQuestions && report.attempts < MAX_ATTEMPTS) {
+    report.attempts++;
+    const known = [...existing, ...questions];
+    let raw;
+    try {
+      raw = await provider.generate({
+        content,
+        numQuestions: numQuestions - questions.length,
+        avoid: known.map(q => q.question),
+        types,
+        difficulty,
+        topics
+      });
+    } catch (e) {
+      // Unparseable reply - retry, but let the last failure surface if nothing worked
+      console.error('Quiz generation attempt failed:', e.message);
+      if (report.attempts === MAX_ATTEMPTS && questions.length === 0) throw e;
+      continue;
+    }
+
+    const batch = validateQuestions(raw, known);
+    // A question the provider forgot to tag is at the level that was asked for
+    if (difficulty) {
+      for (const question of batch.questions) question.difficulty = question.difficulty || difficulty;
+    }
+    report.repaired += batch.report.repaired;
+    report.dropped.push(...batch.report.dropped);
+    questions.push(...batch.questions.slice(0, numQuestions - questions.length));
+  }
+
+  report.generated = questions.length;
+  return { questions, report };
+}
+
+// Sections generated at the same time: a long document finishes well within the function
+// time limit without sending a provider dozens of requests at once
+const SECTION_CONCURRENCY = 4;
+
+// Generate questions section by section (see chunkDocuments) and tag each one with the
+// file and section it came from. Reports from every section are merged into one.
+async function generateFromChunks(provider, chunks, { existing = [], types = [DEFAULT_TYPE], difficulty = null, topics = [] } = {}) {
+  const results = new Array(chunks.length);
+  let next = 0;
+  async function worker() {
+    while (next < chunks.length) {
+      const i = next++;
+      const chunk = chunks[i];
+      try {
+        results[i] = await generateQuestions(provider, chunk.text, chunk.questionCount, { existing, types, difficulty, topics });
+      } catch (e) {
+        console.error(`Generation failed for ${chunk.file} (${chunk.section}):`, e.message);
+        results[i] = { error: e };
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(SECTION_CONCURRENCY, chunks.length) }, worker));
+
+  const questions = [];
+  const report = { provider: provider.name, requested: 0, generated: 0, attempts: 0, repaired: 0, dropped: [], failedSections: [] };
+  // Sections generated side by side can't avoid each other's questions, so a question
+  // repeated across sections is dropped here, keeping the earliest section's
+  const seen = new Set(existing.map(q => normalizeText(q.question)));
+
+  chunks.forEach((chunk, i) => {
+    const result = results[i];
+    report.requested += chunk.questionCount;
+    if (result.error) {
+      report.failedSections.push({ file: chunk.file, section: chunk.section, error: result.error.message });
+      return;
+    }
+    report.attempts += result.report.attempts;
+    report.repaired += result.report.repaired;
+    report.dropped.push(...result.report.dropped);
+    for (const question of result.questions) {
+      const key = normalizeText(question.question);
+      if (seen.has(key)) {
+        report.dropped.push({ question: question.question, reason: 'duplicate question' });
+        continue;
+      }
+      seen.add(key);
+      question.source = { file: chunk.file, section: chunk.section, units: chunk.units };
+      questions.push(question);
+    }
+  });
+  report.generated = questions.length;
+
+  if (questions.length === 0 && report.failedSections.length > 0) {
+    throw new Error(report.failedSections[0].error);
+  }
+  return { questions, report };
+}
+
+module.exports = { generateQuestions, generateFromChunks };
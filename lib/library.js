@@ -0,0 +1,96 @@
+const { httpError } = require('./errors');
+
+// Library documents one quiz can be generated from
+const MAX_SELECTION = 20;
+
+// Name and card shown in the library list
+function libraryListing(entry) {
+  return {
+    name: entry.name,
+    createdAt: entry.uploadedAt,
+    summary: {
+      name: entry.name,
+      format: entry.format,
+      bytes: entry.bytes,
+      characters: entry.text.length,
+      pages: entry.pages ? entry.pages.length : null,
+      uploadedAt: entry.uploadedAt,
+      lastUsedAt: entry.lastUsedAt
+    }
+  };
+}
+
+// A comma-separated string (multipart forms) or a list of document ids
+function parseDocumentIds(value) {
+  if (!value) return [];
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => String(id).trim()).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+// Course material kept apart from rooms, so it can be reused for new quizzes without
+// uploading it again. Entries are keyed by the SHA-256 of the uploaded file, so the same
+// file uploaded twice (under any name) is stored once; every use restarts its 30 days.
+function createContentLibrary(storage) {
+  async function loadEntry(documentId) {
+    const entry = typeof documentId === 'string' && documentId ? await storage.getDocument(documentId) : null;
+    if (!entry) {
+      throw httpError(404, 'Library document not found', { documentId });
+    }
+    return entry;
+  }
+
+  return {
+    // Store documents with a `hash` (see lib/content.js), or mark existing ones as used.
+    // Returns their library ids.
+    async addDocuments(documents) {
+      const now = Date.now();
+      const ids = [];
+      for (const document of documents.filter(d => d.hash)) {
+        const existing = await storage.getDocument(document.hash);
+        const entry = existing || {
+          name: document.name,
+          hash: document.hash,
+          format: document.format || null,
+          bytes: document.bytes || null,
+          text: document.text,
+          pages: document.pages || null,
+          pageName: document.pageName || null,
+          uploadedAt: now
+        };
+        entry.lastUsedAt = now;
+        await storage.setDocument(document.hash, entry, libraryListing(entry));
+        ids.push(document.hash);
+      }
+      return ids;
+    },
+
+    // Newest first; { offset, limit, search } -> { documents, total }
+    async listDocuments(options) {
+      const { total, items } = await storage.listDocuments(options);
+      return { documents: items.map(({ id, summary }) => ({ id, ...summary })), total };
+    },
+
+    // One entry with its extracted text
+    async getDocument(documentId) {
+      const entry = await loadEntry(documentId);
+      return { id: documentId, ...libraryListing(entry).summary, pageName: entry.pageName, text: entry.text };
+    },
+
+    // Library entries in the shape extractContent gives uploaded documents, for chunking
+    async loadDocuments(documentIds) {
+      if (documentIds.length > MAX_SELECTION) {
+        throw httpError(400, `Pick at most ${MAX_SELECTION} library documents`);
+      }
+      const documents = [];
+      for (const documentId of documentIds) {
+        const entry = await loadEntry(documentId);
+        const document = { name: entry.name, text: entry.text, pages: entry.pages, hash: entry.hash };
+        if (entry.pageName) document.pageName = entry.pageName;
+        documents.push(document);
+      }
+      return documents;
+    }
+  };
+}
+
+module.exports = { createContentLibrary, parseDocumentIds };
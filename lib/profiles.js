@@ -0,0 +1,162 @@
+const { generateToken, tokensMatch } = require('./tokens');
+const { httpError } = require('./errors');
+
+// Games kept in a profile's history, newest last
+const MAX_HISTORY = 50;
+
+const GLOBAL_BOARD = 'global';
+
+function quizBoard(quizId) {
+  return `quiz:${quizId}`;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+// What anyone can see of a profile: everything but the token
+function publicProfile(profileId, profile) {
+  return {
+    id: profileId,
+    name: profile.name,
+    createdAt: profile.createdAt,
+    gamesPlayed: profile.gamesPlayed,
+    totalPoints: profile.totalPoints,
+    questionsAnswered: profile.questionsAnswered,
+    // Partial credit counts as its fraction of a correct answer
+    accuracy: Math.round(ratio(profile.credit, profile.questionsAnswered) * 1000) / 1000,
+    averageResponseMs: Math.round(ratio(profile.totalResponseMs, profile.questionsAnswered)),
+    bestScores: Object.entries(profile.bestScores).map(([quizId, best]) => ({ quizId, ...best })),
+    history: profile.history
+  };
+}
+
+// One player's part in a finished game
+function gameSummary(room, playerName) {
+  const answers = room.playerAnswers[playerName] || [];
+  const credit = answers.reduce((sum, a) => sum + (a.credit || 0), 0);
+  const responseMs = answers.reduce((sum, a) => sum + (a.responseMs || 0), 0);
+  return {
+    at: Date.now(),
+    roomName: room.name,
+    quizId: room.quizId || null,
+    quizName: room.quizName || null,
+    score: room.scores[playerName] || 0,
+    answered: answers.length,
+    credit: credit,
+    responseMs: responseMs,
+    accuracy: Math.round(ratio(credit, answers.length) * 1000) / 1000,
+    averageResponseMs: Math.round(ratio(responseMs, answers.length))
+  };
+}
+
+// Player profiles (a name and a token, no accounts) with stats across games and
+// all-time leaderboards: overall points, and each player's best score per saved quiz
+function createProfileLibrary(storage) {
+  async function loadProfile(profileId) {
+    const profile = typeof profileId === 'string' && profileId ? await storage.getProfile(profileId) : null;
+    if (!profile) {
+      throw httpError(404, 'Profile not found');
+    }
+    return profile;
+  }
+
+  async function addGame(profileId, room, playerName) {
+    const profile = await storage.getProfile(profileId);
+    if (!profile) return;
+
+    const game = gameSummary(room, playerName);
+    profile.gamesPlayed++;
+    profile.totalPoints += game.score;
+    profile.questionsAnswered += game.answered;
+    profile.credit += game.credit;
+    profile.totalResponseMs += game.responseMs;
+    profile.history = [...profile.history, {
+      at: game.at,
+      roomName: game.roomName,
+      quizId: game.quizId,
+      quizName: game.quizName,
+      score: game.score,
+      accuracy: game.accuracy,
+      averageResponseMs: game.averageResponseMs
+    }].slice(-MAX_HISTORY);
+
+    const scores = { [GLOBAL_BOARD]: profile.totalPoints };
+    if (game.quizId) {
+      const best = profile.bestScores[game.quizId];
+      if (!best || game.score > best.score) {
+        profile.bestScores[game.quizId] = { quizName: game.quizName, score: game.score, at: game.at };
+      }
+      scores[quizBoard(game.quizId)] = profile.bestScores[game.quizId].score;
+    }
+    await storage.setProfile(profileId, profile, scores);
+  }
+
+  return {
+    async createProfile(name) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed || trimmed.length > 30) {
+        throw httpError(400, 'Profile name must be 1-30 characters');
+      }
+      const profileId = Math.random().toString(36).substring(2, 12);
+      const profileToken = generateToken();
+      const profile = {
+        name: trimmed,
+        token: profileToken,
+        createdAt: Date.now(),
+        gamesPlayed: 0,
+        totalPoints: 0,
+        questionsAnswered: 0,
+        credit: 0,
+        totalResponseMs: 0,
+        bestScores: {},
+        history: []
+      };
+      await storage.setProfile(profileId, profile);
+      return { profileId, profileToken, profile: publicProfile(profileId, profile) };
+    },
+
+    async getProfile(profileId) {
+      return publicProfile(profileId, await loadProfile(profileId));
+    },
+
+    // Throws unless the token belongs to the profile
+    async checkProfile(profileId, profileToken) {
+      const profile = await loadProfile(profileId);
+      if (!tokensMatch(profile.token, profileToken)) {
+        throw httpError(403, 'Invalid profile token');
+      }
+    },
+
+    // Add a finished game to the profile of every player who joined with one.
+    // Called once per game by whoever finished it; a profile plays one game at a time,
+    // so the plain read-modify-write here does not race.
+    async recordGame(room) {
+      for (const [playerName, profileId] of Object.entries(room.profiles || {})) {
+        try {
+          await addGame(profileId, room, playerName);
+        } catch (e) {
+          console.error('Profile update error:', e);
+        }
+      }
+    },
+
+    // Total points across all games, or best score on one quiz when quizId is given.
+    // { quizId, offset, limit } (already clamped by pageOptions) -> { entries: [{ rank, profileId, name, score }], total }
+    async leaderboard({ quizId, ...options } = {}) {
+      const board = quizId ? quizBoard(quizId) : GLOBAL_BOARD;
+      const { total, items } = await storage.listLeaderboard(board, options);
+      const profiles = await Promise.all(items.map(item => storage.getProfile(item.id)));
+      const offset = options.offset || 0;
+      return {
+        // Profiles that have expired drop out of the page
+        entries: items
+          .map((item, i) => (profiles[i] ? { rank: offset + i + 1, profileId: item.id, name: profiles[i].name, score: item.score } : null))
+          .filter(Boolean),
+        total
+      };
+    }
+  };
+}
+
+module.exports = { createProfileLibrary };
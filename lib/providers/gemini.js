@@ -0,0 +1,88 @@
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
+const { buildPrompt, buildOutlinePrompt, parseReply } = require('./prompt');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../questions');
+
+const MODEL = 'gemini-2.0-flash-lite';
+
+// Structured output schema; the model is constrained to produce exactly this shape
+const RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    questions: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          type: { type: SchemaType.STRING, enum: Object.keys(QUESTION_TYPES) },
+          question: { type: SchemaType.STRING },
+          options: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+          correct: { type: SchemaType.ARRAY, items: { type: SchemaType.INTEGER } },
+          answers: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+          explanation: { type: SchemaType.STRING },
+          topic: { type: SchemaType.STRING },
+          difficulty: { type: SchemaType.STRING, enum: DIFFICULTIES }
+        },
+        required: ['type', 'question', 'options', 'explanation', 'topic', 'difficulty']
+      }
+    }
+  },
+  required: ['questions']
+};
+
+const OUTLINE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    topics: {
+      type: SchemaType.ARRAY,
+      items: {
+        type: SchemaType.OBJECT,
+        properties: {
+          name: { type: SchemaType.STRING },
+          description: { type: SchemaType.STRING }
+        },
+        required: ['name']
+      }
+    }
+  },
+  required: ['topics']
+};
+
+// Google Gemini (GOOGLE_AI_API_KEY)
+function createGeminiProvider() {
+  let genAI = null;
+
+  // Send a prompt and parse the JSON reply, constrained to `schema`
+  async function ask(prompt, schema) {
+    if (!process.env.GOOGLE_AI_API_KEY) {
+      throw new Error('GOOGLE_AI_API_KEY is not set');
+    }
+    if (!genAI) {
+      genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
+    }
+    const model = genAI.getGenerativeModel({
+      model: process.env.GEMINI_MODEL || MODEL,
+      generationConfig: {
+        responseMimeType: 'application/json',
+        responseSchema: schema
+      }
+    });
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return parseReply(response.text());
+  }
+
+  return {
+    name: 'gemini',
+
+    async generate(request) {
+      return (await ask(buildPrompt(request), RESPONSE_SCHEMA)).questions;
+    },
+
+    async outline(request) {
+      return (await ask(buildOutlinePrompt(request), OUTLINE_SCHEMA)).topics;
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
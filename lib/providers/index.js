@@ -0,0 +1,31 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { httpError } = require('../errors');
+
+// Question generation providers. Each one implements
+//   generate({ content, numQuestions, avoid, types, difficulty, topics }) -> raw question objects
+// which the generator then validates (see lib/questions.js), and
+//   outline({ content, maxTopics }) -> raw [{ name, description }] topics (see lib/topics.js).
+const providers = {
+  gemini: createGeminiProvider(),
+  openai: createOpenAIProvider(),
+  mock: createMockProvider()
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+function defaultProviderName() {
+  return process.env.QUIZ_PROVIDER || 'gemini';
+}
+
+// Look up a provider by name, falling back to QUIZ_PROVIDER (or Gemini)
+function getProvider(name) {
+  const provider = providers[name || defaultProviderName()];
+  if (!provider) {
+    throw httpError(400, `Unknown quiz provider "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return provider;
+}
+
+module.exports = { getProvider, defaultProviderName, PROVIDER_NAMES };
@@ -0,0 +1,127 @@
+const { normalizeText } = require('../questions');
+const { mentionsTopic } = require('../topics');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const FILLERS = ['None of these', 'All of these', 'Not covered in the notes'];
+// Types the mock can build; anything else requested falls back to multiple choice
+const SUPPORTED_TYPES = ['multiple-choice', 'true-false', 'short-answer'];
+const STOP_WORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'because', 'before', 'being', 'below', 'between',
+  'could', 'during', 'every', 'their', 'there', 'these', 'those', 'through', 'under', 'until',
+  'where', 'which', 'while', 'would', 'other', 'should', 'using', 'based', 'since', 'within'
+]);
+
+function sentencesOf(content) {
+  return content
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => s.length >= 40 && s.length <= 300);
+}
+
+// The longest non-trivial word is usually the most quiz-worthy term
+function keywordOf(sentence) {
+  const words = (sentence.match(/[A-Za-z][A-Za-z0-9-]{4,}/g) || []).filter(w => !STOP_WORDS.has(w.toLowerCase()));
+  return words.reduce((best, w) => (w.length > best.length ? w : best), '') || null;
+}
+
+// Deterministic, offline provider: fill-in-the-blank (multiple choice or short answer) and
+// true/false questions built from the text itself. Same content in, same questions out -
+// for tests, demos and sessions without a network.
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async generate({ content, numQuestions, avoid, types = ['multiple-choice'], difficulty = null, topics = [] }) {
+      const all = sentencesOf(content)
+        .map(sentence => ({ sentence, keyword: keywordOf(sentence) }))
+        .filter(c => c.keyword);
+      if (all.length === 0) {
+        throw new Error('Not enough text to build questions from');
+      }
+      // With focus topics, only sentences that mention one (unless none do)
+      const focused = topics.length > 0 ? all.filter(c => mentionsTopic(c.sentence, topics)) : [];
+      const candidates = focused.length > 0 ? focused : all;
+      // Every mock question is a recall question, whatever level was asked for
+      const tags = keyword => ({ topic: keyword, difficulty: difficulty || 'recall' });
+
+      const keywords = [...new Set(all.map(c => c.keyword))].sort();
+      const avoided = new Set(avoid.map(normalizeText));
+      const usable = types.filter(t => SUPPORTED_TYPES.includes(t));
+      const cycle = usable.length > 0 ? usable : ['multiple-choice'];
+
+      // Spread picks evenly over the text, then fill up from the start
+      const order = [];
+      for (let k = 0; k < numQuestions; k++) order.push(Math.floor((k * candidates.length) / numQuestions));
+      for (let i = 0; i < candidates.length; i++) order.push(i);
+
+      const questions = [];
+      const used = new Set();
+      for (const index of order) {
+        if (questions.length >= numQuestions) break;
+        if (used.has(index)) continue;
+        used.add(index);
+
+        const { sentence, keyword } = candidates[index];
+        const type = cycle[questions.length % cycle.length];
+        const blanked = `Fill in the blank: "${sentence.split(keyword).join('_____')}"`;
+
+        // Distractors are the next terms alphabetically, padded with fillers for tiny texts
+        const start = keywords.indexOf(keyword);
+        const distractors = [];
+        for (let i = 1; i < keywords.length && distractors.length < 3; i++) {
+          const word = keywords[(start + i) % keywords.length];
+          if (word.toLowerCase() !== keyword.toLowerCase()) distractors.push(word);
+        }
+        distractors.push(...FILLERS.slice(0, 3 - distractors.length));
+
+        if (type === 'short-answer') {
+          if (avoided.has(normalizeText(blanked))) continue;
+          questions.push({ type, question: blanked, options: [], correct: [keyword], explanation: sentence, ...tags(keyword) });
+          continue;
+        }
+
+        if (type === 'true-false') {
+          // Alternate true statements with ones where the key term is swapped out
+          const isTrue = questions.length % 2 === 0;
+          const statement = isTrue ? sentence : sentence.split(keyword).join(distractors[0]);
+          const question = `True or false: "${statement}"`;
+          if (avoided.has(normalizeText(question))) continue;
+          questions.push({ type, question, options: ['A) True', 'B) False'], correct: isTrue ? 0 : 1, explanation: sentence, ...tags(keyword) });
+          continue;
+        }
+
+        if (avoided.has(normalizeText(blanked))) continue;
+        const correct = questions.length % 4;
+        const options = [...distractors];
+        options.splice(correct, 0, keyword);
+
+        questions.push({
+          type,
+          question: blanked,
+          options: options.map((o, i) => `${LETTERS[i]}) ${o}`),
+          correct,
+          explanation: sentence,
+          ...tags(keyword)
+        });
+      }
+
+      return questions;
+    },
+
+    // The key terms that come up most often, in order of first appearance
+    async outline({ content, maxTopics }) {
+      const counts = new Map();
+      for (const sentence of sentencesOf(content)) {
+        const keyword = keywordOf(sentence);
+        if (keyword) counts.set(keyword, (counts.get(keyword) || 0) + 1);
+      }
+      const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxTopics).map(([name]) => name);
+      return [...counts.keys()]
+        .filter(name => top.includes(name))
+        .map(name => ({ name, description: `Mentioned in ${counts.get(name)} sentence${counts.get(name) === 1 ? '' : 's'}` }));
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,45 @@
+const { buildPrompt, buildOutlinePrompt, parseReply } = require('./prompt');
+
+// Any OpenAI-compatible chat completions server: Ollama, LM Studio, llama.cpp, vLLM...
+// OPENAI_BASE_URL defaults to a local Ollama; OPENAI_API_KEY is only sent when set.
+function createOpenAIProvider() {
+  // Send a prompt and parse the JSON reply
+  async function ask(prompt) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: process.env.OPENAI_MODEL || 'llama3.1',
+        messages: [{ role: 'user', content: prompt }],
+        response_format: { type: 'json_object' },
+        temperature: 0.7
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Model server responded ${response.status}: ${(await response.text()).substring(0, 200)}`);
+    }
+    const data = await response.json();
+    return parseReply(data.choices[0].message.content);
+  }
+
+  return {
+    name: 'openai',
+
+    async generate(request) {
+      return (await ask(buildPrompt(request))).questions;
+    },
+
+    async outline(request) {
+      return (await ask(buildOutlinePrompt(request))).topics;
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,79 @@
+const { DIFFICULTY_RULES } = require('../topics');
+
+// Prompt and reply handling shared by the LLM-backed providers
+const MAX_CONTENT_LENGTH = 15000;
+
+const TYPE_RULES = {
+  'multiple-choice': '"multiple-choice": exactly 4 distinct options; "correct" holds the index (0-3) of the one correct option, e.g. [2].',
+  'true-false': '"true-false": options are ["True", "False"]; "correct" is [0] for True or [1] for False.',
+  'multi-select': '"multi-select": a "select all that apply" question with 4-6 options; "correct" holds the indices of ALL correct options, e.g. [0, 2, 3].',
+  'ordering': '"ordering": 3-6 steps or items listed in the CORRECT order in "options"; "correct" is their indices in order, e.g. [0, 1, 2, 3].',
+  'short-answer': '"short-answer": answered with one word or a short phrase; "options" is []; "answers" lists every accepted answer (synonyms, abbreviations).'
+};
+
+// `difficulty` (null for a mix) and focus `topics` (empty for everything) steer the questions
+function buildPrompt({ content, numQuestions, avoid, types, difficulty = null, topics = [] }) {
+  let prompt = `You are a quiz generator. Generate exactly ${numQuestions} quiz questions based on the provided course content.
+
+Return ONLY valid JSON in this exact format (no markdown, no code blocks, no backticks):
+{
+  "questions": [
+    {
+      "type": "multiple-choice",
+      "question": "Question text here?",
+      "options": ["A) Option 1", "B) Option 2", "C) Option 3", "D) Option 4"],
+      "correct": [0],
+      "answers": [],
+      "explanation": "Brief explanation",
+      "topic": "Virtualization",
+      "difficulty": "recall"
+    }
+  ]
+}
+
+Use ${types.length > 1 ? 'a mix of these question types' : 'only this question type'}:
+${types.map(type => '- ' + TYPE_RULES[type]).join('\n')}
+
+Tag every question with "topic" (the course topic it tests, in 1-4 words) and "difficulty":
+${Object.values(DIFFICULTY_RULES).map(rule => '- ' + rule).join('\n')}
+${difficulty
+    ? `Every question must be at the "${difficulty}" level.`
+    : 'Mix the difficulty levels.'} Make questions challenging but fair.
+${topics.length > 0
+    ? `Only ask about these topics, and skip content unrelated to them: ${topics.join('; ')}. Use the closest of these as each question's "topic".`
+    : 'Cover different topics from the content.'}`;
+
+  if (avoid.length > 0) {
+    prompt += `\n\nDo NOT repeat or rephrase any of these existing questions:\n${avoid.map(q => '- ' + q).join('\n')}`;
+  }
+
+  return prompt + `\n\nCourse content:\n${content.substring(0, MAX_CONTENT_LENGTH)}`;
+}
+
+function buildOutlinePrompt({ content, maxTopics }) {
+  return `List the main topics of this course content, at most ${maxTopics}, in the order they are taught.
+Name each topic in 1-4 words and describe what it covers in one sentence.
+
+Return ONLY valid JSON in this exact format (no markdown, no code blocks, no backticks):
+{
+  "topics": [
+    { "name": "Virtualization", "description": "Hypervisors and how virtual machines share hardware" }
+  ]
+}
+
+Course content (the start of each section):
+${content.substring(0, MAX_CONTENT_LENGTH)}`;
+}
+
+// Pull the JSON object out of a reply, even if the model wrapped it in prose or fences
+function parseReply(text) {
+  text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object in model reply');
+  }
+  return JSON.parse(text.substring(start, end + 1));
+}
+
+module.exports = { buildPrompt, buildOutlinePrompt, parseReply };
@@ -0,0 +1,356 @@
+const LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Supported question types and how many options each takes.
+//   multiple-choice  correct: option index
+//   true-false       correct: 0 (True) or 1 (False)
+//   multi-select     correct: list of option indices, partial credit
+//   ordering         correct: option indices in the right order
+//   short-answer     correct: list of accepted answers, no options
+const QUESTION_TYPES = {
+  'multiple-choice': { minOptions: 4, maxOptions: 4 },
+  'true-false': { minOptions: 2, maxOptions: 2 },
+  'multi-select': { minOptions: 4, maxOptions: 6 },
+  'ordering': { minOptions: 3, maxOptions: 6 },
+  'short-answer': { minOptions: 0, maxOptions: 0 }
+};
+const DEFAULT_TYPE = 'multiple-choice';
+
+// Optional difficulty tag, from remembering a fact to reasoning about a new situation
+const DIFFICULTIES = ['recall', 'application', 'analysis'];
+const MAX_TOPIC_LENGTH = 60;
+
+// Lowercase, drop punctuation and collapse whitespace so near-identical questions compare equal
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Short answers also ignore leading articles ("the hypervisor" == "hypervisor")
+function normalizeAnswer(text) {
+  return normalizeText(text).replace(/^(the|a|an) /, '');
+}
+
+function stripLetter(option) {
+  return option.replace(/^\s*[A-Fa-f][).:]\s*/, '').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+function isPermutation(list, length) {
+  return Array.isArray(list) && list.length === length &&
+    list.every(i => Number.isInteger(i) && i >= 0 && i < length) &&
+    new Set(list).size === length;
+}
+
+// Work out an option index from an int, "2", "C", "C) ..." or the option text itself
+function resolveIndex(value, options) {
+  if (Number.isInteger(value)) return value;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    const letter = text.match(/^([A-Fa-f])(\)|\.|:|$)/);
+    if (letter) return LETTERS.indexOf(letter[1].toUpperCase());
+    const byText = options.findIndex(o => normalizeText(stripLetter(o)) === normalizeText(stripLetter(text)));
+    if (byText !== -1) return byText;
+  }
+  return null;
+}
+
+// The answer key in the shape the type expects, or an { error }
+function resolveCorrect(type, raw, options, repaired) {
+  let correct = raw.correct;
+
+  if (type === 'short-answer') {
+    const empty = correct === undefined || (Array.isArray(correct) && correct.length === 0);
+    if (empty && raw.answers !== undefined) correct = raw.answers;
+    if (!Array.isArray(correct)) {
+      correct = [correct];
+      repaired.push('answer list');
+    }
+    const answers = correct.filter(a => typeof a === 'string' || typeof a === 'number')
+      .map(a => String(a).trim()).filter(a => normalizeAnswer(a));
+    return answers.length > 0 ? answers : { error: 'no accepted answers' };
+  }
+
+  if (type === 'true-false' && typeof correct === 'boolean') {
+    repaired.push('correct index');
+    return correct ? 0 : 1;
+  }
+  if (type === 'true-false' && typeof correct === 'string' && /^(true|false)$/i.test(correct.trim())) {
+    repaired.push('correct index');
+    return /^true$/i.test(correct.trim()) ? 0 : 1;
+  }
+
+  if (type === 'multiple-choice' || type === 'true-false') {
+    // Structured output sends every key as a list; unwrap single values
+    if (Array.isArray(correct) && correct.length === 1) {
+      correct = correct[0];
+    }
+    const index = resolveIndex(correct, options);
+    if (index === null || index < 0 || index >= options.length) {
+      return { error: `invalid correct index ${JSON.stringify(raw.correct)}` };
+    }
+    if (index !== correct) repaired.push('correct index');
+    return index;
+  }
+
+  if (type === 'ordering' && (correct === undefined || correct === null)) {
+    // Options were given in the right order
+    return options.map((o, i) => i);
+  }
+
+  const list = (Array.isArray(correct) ? correct : [correct]).map(c => resolveIndex(c, options));
+  if (list.some(i => i === null || i < 0 || i >= options.length)) {
+    return { error: `invalid correct indices ${JSON.stringify(raw.correct)}` };
+  }
+  if (type === 'ordering') {
+    return isPermutation(list, options.length) ? list : { error: 'correct is not an ordering of all options' };
+  }
+  const unique = [...new Set(list)].sort((a, b) => a - b);
+  return unique.length > 0 ? unique : { error: 'no correct options' };
+}
+
+// Check one question against the schema. Returns { question, repaired } when usable
+// (possibly after fixing small mistakes) or { error } when it has to be dropped.
+function validateQuestion(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'not an object' };
+  }
+
+  const repaired = [];
+  const text = typeof raw.question === 'string' ? raw.question.trim() : '';
+  if (!text) {
+    return { error: 'missing question text' };
+  }
+
+  const type = raw.type === undefined || raw.type === '' ? DEFAULT_TYPE : raw.type;
+  const rules = QUESTION_TYPES[type];
+  if (!rules) {
+    return { error: `unknown question type ${JSON.stringify(raw.type)}` };
+  }
+
+  let rawOptions = raw.options;
+  if (type === 'true-false' && !Array.isArray(rawOptions)) {
+    rawOptions = ['True', 'False'];
+    repaired.push('true/false options');
+  }
+  if (type === 'short-answer') {
+    rawOptions = [];
+  }
+  if (!Array.isArray(rawOptions)) {
+    return { error: 'options is not a list' };
+  }
+
+  let options = rawOptions.filter(o => typeof o === 'string' || typeof o === 'number').map(o => String(o).trim());
+  if (options.length < rules.minOptions || options.length > rules.maxOptions || options.some(o => !stripLetter(o))) {
+    const expected = rules.minOptions === rules.maxOptions ? rules.minOptions : `${rules.minOptions}-${rules.maxOptions}`;
+    return { error: `expected ${expected} non-empty options for ${type}, got ${rawOptions.length}` };
+  }
+
+  const plain = options.map(stripLetter);
+  if (new Set(plain.map(normalizeText)).size !== plain.length) {
+    return { error: 'duplicate options' };
+  }
+
+  let correct = resolveCorrect(type, raw, options, repaired);
+  if (correct && correct.error) {
+    return { error: correct.error };
+  }
+
+  // An ordering shown in the right order gives the answer away
+  if (type === 'ordering' && correct.every((c, i) => c === i)) {
+    const order = shuffleInPlace(plain.map((o, i) => i));
+    const shuffled = order.map(i => plain[i]);
+    correct = correct.map(c => order.indexOf(c));
+    plain.splice(0, plain.length, ...shuffled);
+    options = plain.map((o, i) => `${LETTERS[i]}) ${o}`);
+  }
+
+  // Regenerate the letter prefixes so they always match the position
+  const labelled = plain.map((o, i) => `${LETTERS[i]}) ${o}`);
+  if (labelled.some((o, i) => o !== options[i])) {
+    repaired.push('option labels');
+  }
+  options = labelled;
+
+  let explanation = raw.explanation;
+  if (typeof explanation !== 'string') {
+    explanation = '';
+    repaired.push('explanation');
+  }
+
+  const question = { type, question: text, options, correct, explanation: explanation.trim() };
+
+  // Topic and difficulty tags are optional; unusable ones are dropped, not fatal
+  const topic = typeof raw.topic === 'string' ? raw.topic.trim().substring(0, MAX_TOPIC_LENGTH) : '';
+  if (topic) question.topic = topic;
+  else if (raw.topic !== undefined && raw.topic !== null) repaired.push('topic');
+  const difficulty = typeof raw.difficulty === 'string' ? raw.difficulty.trim().toLowerCase() : '';
+  if (DIFFICULTIES.includes(difficulty)) question.difficulty = difficulty;
+  else if (raw.difficulty !== undefined && raw.difficulty !== null) repaired.push('difficulty');
+
+  if (raw.source && typeof raw.source === 'object') {
+    question.source = { file: String(raw.source.file || ''), section: String(raw.source.section || '') };
+    // Range of the file's pages or sections it was generated from (see lib/chunker.js)
+    const units = raw.source.units;
+    if (Array.isArray(units) && units.length === 2 && units.every(n => Number.isInteger(n) && n >= 0) && units[0] <= units[1]) {
+      question.source.units = units;
+    }
+  }
+
+  return { question, repaired };
+}
+
+// Validate a batch and drop anything invalid or already present in `existing`.
+// The report says what happened to every question that did not pass cleanly.
+function validateQuestions(rawQuestions, existing = []) {
+  const seen = new Set(existing.map(q => normalizeText(q.question)));
+  const questions = [];
+  const report = { received: 0, accepted: 0, repaired: 0, dropped: [] };
+
+  for (const raw of Array.isArray(rawQuestions) ? rawQuestions : []) {
+    report.received++;
+    const result = validateQuestion(raw);
+
+    if (result.error) {
+      report.dropped.push({ question: raw && raw.question, reason: result.error });
+      continue;
+    }
+
+    const key = normalizeText(result.question.question);
+    if (seen.has(key)) {
+      report.dropped.push({ question: result.question.question, reason: 'duplicate question' });
+      continue;
+    }
+    seen.add(key);
+
+    if (result.repaired.length > 0) report.repaired++;
+    report.accepted++;
+    questions.push(result.question);
+  }
+
+  return { questions, report };
+}
+
+// Types whose options are worth shuffling; true/false keeps its conventional order
+const SHUFFLED_TYPES = ['multiple-choice', 'multi-select', 'ordering'];
+
+// A copy of the question with its options in random order, letter labels redone and
+// `correct` remapped. `optionOrder[shown position]` is the option's original index.
+function shuffleOptions(question) {
+  const type = question.type || DEFAULT_TYPE;
+  if (!SHUFFLED_TYPES.includes(type)) {
+    return question;
+  }
+
+  const order = shuffleInPlace(question.options.map((o, i) => i));
+  const plain = order.map(i => stripLetter(question.options[i]));
+  const moved = i => order.indexOf(i);
+  let correct;
+  if (type === 'multi-select') correct = question.correct.map(moved).sort((a, b) => a - b);
+  else if (type === 'ordering') correct = question.correct.map(moved);
+  else correct = moved(question.correct);
+
+  // Shuffling an already shuffled question keeps pointing at the original options
+  const previous = question.optionOrder || question.options.map((o, i) => i);
+  return {
+    ...question,
+    options: plain.map((o, i) => `${LETTERS[i]}) ${o}`),
+    correct,
+    optionOrder: order.map(i => previous[i])
+  };
+}
+
+// A validated answer in terms of the question's original option indices
+function originalAnswer(question, answer) {
+  if (!question.optionOrder || typeof answer === 'string') {
+    return answer;
+  }
+  const original = i => question.optionOrder[i];
+  if ((question.type || DEFAULT_TYPE) === 'multi-select') {
+    return answer.map(original).sort((a, b) => a - b);
+  }
+  return Array.isArray(answer) ? answer.map(original) : original(answer);
+}
+
+// Check a submitted answer has the right shape for the question.
+// Returns the cleaned-up answer, or null if it is malformed.
+function validateAnswer(question, answer) {
+  const type = question.type || DEFAULT_TYPE;
+  const count = question.options.length;
+
+  if (type === 'short-answer') {
+    return typeof answer === 'string' && answer.trim() && answer.length <= 200 ? answer.trim() : null;
+  }
+  if (type === 'multi-select') {
+    if (!Array.isArray(answer) || answer.length === 0) return null;
+    if (!answer.every(i => Number.isInteger(i) && i >= 0 && i < count)) return null;
+    return [...new Set(answer)].sort((a, b) => a - b);
+  }
+  if (type === 'ordering') {
+    return isPermutation(answer, count) ? answer : null;
+  }
+  return Number.isInteger(answer) && answer >= 0 && answer < count ? answer : null;
+}
+
+// Credit between 0 and 1 for a validated answer
+function gradeAnswer(question, answer) {
+  const type = question.type || DEFAULT_TYPE;
+
+  if (type === 'multi-select') {
+    // Each correct pick earns its share; each wrong pick takes one back
+    const hits = answer.filter(i => question.correct.includes(i)).length;
+    const misses = answer.length - hits;
+    return Math.max(0, (hits - misses) / question.correct.length);
+  }
+  if (type === 'ordering') {
+    const inPlace = answer.filter((item, position) => question.correct[position] === item).length;
+    return inPlace / question.correct.length;
+  }
+  if (type === 'short-answer') {
+    // Exact after normalizing, or within one typo per five characters
+    const given = normalizeAnswer(answer);
+    const matches = question.correct.some(accepted => {
+      const expected = normalizeAnswer(accepted);
+      return given === expected || levenshtein(given, expected) <= Math.floor(expected.length / 5);
+    });
+    return matches ? 1 : 0;
+  }
+  return answer === question.correct ? 1 : 0;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  MAX_TOPIC_LENGTH,
+  validateQuestion,
+  validateQuestions,
+  validateAnswer,
+  gradeAnswer,
+  shuffleOptions,
+  originalAnswer,
+  shuffleInPlace,
+  normalizeText
+};
@@ -0,0 +1,268 @@
+const { generateToken, tokensMatch } = require('./tokens');
+const { httpError } = require('./errors');
+const { validateQuestion, normalizeText } = require('./questions');
+const { chunkDocuments, sectionText } = require('./chunker');
+const { generateQuestions } = require('./generator');
+const { tagCounts } = require('./topics');
+
+// What the editor gets back: everything except the owner token
+function editorView(quizId, quiz) {
+  return {
+    id: quizId,
+    name: quiz.name,
+    questions: quiz.questions,
+    fileNames: quiz.fileNames || [],
+    documentIds: quiz.documentIds || [],
+    createdAt: quiz.createdAt,
+    updatedAt: quiz.updatedAt || quiz.createdAt,
+    canRegenerate: Array.isArray(quiz.documentIds) && quiz.documentIds.length > 0
+  };
+}
+
+// Name and card shown in the saved-quiz list, with question counts per topic and
+// difficulty for picking a subset to play
+function quizListing(quiz) {
+  return {
+    name: quiz.name,
+    createdAt: quiz.createdAt,
+    summary: {
+      name: quiz.name,
+      questionCount: quiz.questions.length,
+      createdAt: quiz.createdAt,
+      documentIds: quiz.documentIds || [],
+      ...tagCounts(quiz.questions)
+    }
+  };
+}
+
+// Validate a question sent by the editor, keeping its source unless a new one is given
+// and its topic and difficulty tags unless they are sent (an empty one clears the tag)
+function parseQuestion(raw, previous) {
+  let input = raw;
+  if (raw && typeof raw === 'object' && previous) {
+    input = { ...raw };
+    if (!input.source) input.source = previous.source;
+    if (input.topic === undefined) input.topic = previous.topic;
+    if (input.difficulty === undefined) input.difficulty = previous.difficulty;
+  }
+  const result = validateQuestion(input);
+  if (result.error) {
+    throw httpError(400, `Invalid question: ${result.error}`);
+  }
+  return result.question;
+}
+
+function requireUnique(questions, question, skipIndex) {
+  const key = normalizeText(question.question);
+  if (questions.some((q, i) => i !== skipIndex && normalizeText(q.question) === key)) {
+    throw httpError(400, 'The quiz already has this question');
+  }
+}
+
+// The section of the original content a question came from, or all of it
+function sourceText(documents, question, questionCount) {
+  const source = question.source || {};
+  const document = documents.find(d => d.name === source.file);
+  // Generated questions record which pages or sections they came from
+  const text = document && source.units ? sectionText(document, source.units) : null;
+  if (text) {
+    return { text, file: source.file, section: source.section, units: source.units };
+  }
+  // Otherwise (imported and older questions) look for a section with the same label. It
+  // only lines up with the original sections while the question count is unchanged.
+  const match = chunkDocuments(documents, questionCount)
+    .find(c => c.file === source.file && c.section === source.section);
+  if (match) {
+    return { text: match.text, file: match.file, section: match.section, units: match.units };
+  }
+  if (document) {
+    return { text: document.text, file: document.name, section: source.section };
+  }
+  return { text: documents.map(d => d.text).join('\n\n'), file: source.file, section: source.section };
+}
+
+// Saved quizzes, kept for 30 days so they can be replayed in new rooms. The content they
+// were generated from stays in the content `library` (lib/library.js).
+function createQuizLibrary(storage, library) {
+  async function loadOwned(quizId, quizToken) {
+    const quiz = await storage.getQuiz(quizId);
+    if (!quiz) {
+      throw httpError(404, 'Quiz not found');
+    }
+    if (!tokensMatch(quiz.ownerToken, quizToken)) {
+      throw httpError(403, 'Only the quiz owner can edit it');
+    }
+    return quiz;
+  }
+
+  async function saveOwned(quizId, quiz) {
+    quiz.updatedAt = Date.now();
+    await storage.setQuiz(quizId, quiz, quizListing(quiz));
+    return editorView(quizId, quiz);
+  }
+
+  function questionIndex(quiz, value) {
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 0 || index >= quiz.questions.length) {
+      throw httpError(404, 'Question not found');
+    }
+    return index;
+  }
+
+  return {
+    async getQuiz(quizId) {
+      const quiz = await storage.getQuiz(quizId);
+      if (!quiz) {
+        throw httpError(404, 'Quiz not found');
+      }
+      return quiz;
+    },
+
+    // `documentIds` link the quiz to the content library entries it was generated from,
+    // which single questions are regenerated from later
+    async saveQuiz({ name, questions, fileNames, documentIds }) {
+      const quizId = Math.random().toString(36).substring(2, 10);
+      const quizToken = generateToken();
+      const quiz = {
+        name: name,
+        questions: questions,
+        fileNames: fileNames,
+        documentIds: documentIds || [],
+        ownerToken: quizToken,
+        createdAt: Date.now()
+      };
+      await storage.setQuiz(quizId, quiz, quizListing(quiz));
+      return { quizId, quizToken };
+    },
+
+    // Newest first; { offset, limit, search } -> { quizzes, total }
+    async listQuizzes(options) {
+      const { total, items } = await storage.listQuizzes(options);
+      return { quizzes: items.map(({ id, summary }) => ({ id, ...summary })), total };
+    },
+
+    async deleteQuiz(quizId, quizToken) {
+      const quiz = await this.getQuiz(quizId);
+      if (!tokensMatch(quiz.ownerToken, quizToken)) {
+        throw httpError(403, 'Only the quiz owner can delete it');
+      }
+      try {
+        await storage.deleteQuiz(quizId);
+      } catch (e) {
+        throw httpError(500, 'Failed to delete quiz');
+      }
+    },
+
+    // Full quiz with answer keys, for the editor
+    async getQuizForEditing(quizId, quizToken) {
+      return editorView(quizId, await loadOwned(quizId, quizToken));
+    },
+
+    async renameQuiz(quizId, quizToken, name) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) {
+        throw httpError(400, 'Quiz name is required');
+      }
+      quiz.name = trimmed.substring(0, 100);
+      return saveOwned(quizId, quiz);
+    },
+
+    // Insert at `position` (default: the end)
+    async addQuestion(quizId, quizToken, rawQuestion, position) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const question = parseQuestion(rawQuestion);
+      requireUnique(quiz.questions, question, -1);
+
+      const at = position === undefined || position === null ? quiz.questions.length : Number(position);
+      if (!Number.isInteger(at) || at < 0 || at > quiz.questions.length) {
+        throw httpError(400, 'Invalid position');
+      }
+      quiz.questions.splice(at, 0, question);
+      return saveOwned(quizId, quiz);
+    },
+
+    async updateQuestion(quizId, quizToken, index, rawQuestion) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const i = questionIndex(quiz, index);
+      const question = parseQuestion(rawQuestion, quiz.questions[i]);
+      requireUnique(quiz.questions, question, i);
+      quiz.questions[i] = question;
+      return saveOwned(quizId, quiz);
+    },
+
+    async deleteQuestion(quizId, quizToken, index) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const i = questionIndex(quiz, index);
+      if (quiz.questions.length === 1) {
+        throw httpError(400, 'A quiz needs at least one question - delete the quiz instead');
+      }
+      quiz.questions.splice(i, 1);
+      return saveOwned(quizId, quiz);
+    },
+
+    // `order` lists the current question indices in their new order
+    async reorderQuestions(quizId, quizToken, order) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const count = quiz.questions.length;
+      const valid = Array.isArray(order) && order.length === count &&
+        order.every(i => Number.isInteger(i) && i >= 0 && i < count) &&
+        new Set(order).size === count;
+      if (!valid) {
+        throw httpError(400, `order must list every question index from 0 to ${count - 1} once`);
+      }
+      quiz.questions = order.map(i => quiz.questions[i]);
+      return saveOwned(quizId, quiz);
+    },
+
+    // Replace one question with a fresh one of the same type and difficulty (and topic, where
+    // the section still has one) from the same section
+    async regenerateQuestion(quizId, quizToken, index, provider) {
+      const quiz = await loadOwned(quizId, quizToken);
+      const i = questionIndex(quiz, index);
+      if (!Array.isArray(quiz.documentIds) || quiz.documentIds.length === 0) {
+        throw httpError(400, 'This quiz has no saved content to regenerate from');
+      }
+
+      let documents;
+      try {
+        documents = await library.loadDocuments(quiz.documentIds);
+      } catch (e) {
+        if (e.status !== 404) throw e;
+        throw httpError(400, 'The content this quiz was generated from is no longer in the library', e.details);
+      }
+      const old = quiz.questions[i];
+      const section = sourceText(documents, old, quiz.questions.length);
+      // On its topic first; a section rarely has a new question left on one topic once the
+      // rest of the quiz counts as duplicates, so then anything from the section will do
+      const attempts = old.topic ? [[old.topic], []] : [[]];
+      let question = null;
+      let failure = 'no new question was returned';
+      for (const topics of attempts) {
+        try {
+          const result = await generateQuestions(provider, section.text, 1, {
+            existing: quiz.questions,
+            types: [old.type || 'multiple-choice'],
+            difficulty: old.difficulty || null,
+            topics
+          });
+          question = result.questions[0] || null;
+        } catch (e) {
+          failure = e.message;
+        }
+        if (question) break;
+      }
+      // Nothing usable in this section is a problem with the content, not the server
+      if (!question) {
+        throw httpError(422, `Could not generate a replacement question (${failure}). Try again, or edit the question by hand.`);
+      }
+
+      question.source = { file: section.file || '', section: section.section || '' };
+      if (section.units) question.source.units = section.units;
+      quiz.questions[i] = question;
+      return saveOwned(quizId, quiz);
+    }
+  };
+}
+
+module.exports = { createQuizLibrary, quizListing };
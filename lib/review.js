@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { validateAnswer, gradeAnswer, normalizeText } = require('./questions');
+const { roomSettings } = require('./settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards kept per player; past this the best-known ones (longest interval) are dropped
+const MAX_CARDS = 500;
+const DEFAULT_SESSION_SIZE = 20;
+const MAX_SESSION_SIZE = 100;
+
+// SM-2 starting and minimum easiness factor
+const START_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+
+// Cards are keyed by question text, so the same question from any quiz is one card
+function cardKey(question) {
+  return crypto.createHash('sha1').update(normalizeText(question.question)).digest('hex').substring(0, 16);
+}
+
+// SM-2 recall quality (0-5) from how the question went. Below 3 counts as forgotten.
+function qualityFor(credit, fast) {
+  if (credit === 1) return fast ? 5 : 4;
+  if (credit >= 0.5) return 3;
+  return credit > 0 ? 1 : 0;
+}
+
+// Schedule the next review of a card after an answer of the given quality
+function schedule(card, quality, now) {
+  if (quality >= 3) {
+    card.repetitions++;
+    if (card.repetitions === 1) card.intervalDays = 1;
+    else if (card.repetitions === 2) card.intervalDays = 6;
+    else card.intervalDays = Math.round(card.intervalDays * card.easiness);
+  } else {
+    card.repetitions = 0;
+    card.intervalDays = 1;
+    card.lapses++;
+  }
+  card.easiness = Math.max(MIN_EASINESS, card.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  card.lastReviewedAt = now;
+  card.dueAt = now + card.intervalDays * DAY_MS;
+}
+
+function newCard(question, now) {
+  const stored = {
+    type: question.type || 'multiple-choice',
+    question: question.question,
+    options: question.options,
+    correct: question.correct,
+    explanation: question.explanation || ''
+  };
+  if (question.source) stored.source = question.source;
+  return {
+    question: stored,
+    repetitions: 0,
+    intervalDays: 0,
+    easiness: START_EASINESS,
+    lapses: 0,
+    addedAt: now,
+    lastReviewedAt: null,
+    // A fresh mistake is up for review straight away
+    dueAt: now
+  };
+}
+
+function dueCards(deck, now) {
+  return Object.entries(deck.cards)
+    .filter(([, card]) => card.dueAt <= now)
+    .sort((a, b) => a[1].dueAt - b[1].dueAt);
+}
+
+function sessionSize(limit) {
+  return Math.min(MAX_SESSION_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_SESSION_SIZE));
+}
+
+// What a review session shows: no answers until one is submitted
+function cardPrompt(key, card) {
+  return {
+    key: key,
+    type: card.question.type,
+    question: card.question.question,
+    options: card.question.options,
+    dueAt: card.dueAt,
+    lapses: card.lapses
+  };
+}
+
+// Spaced-repetition review of each profile's mistakes. Wrong answers from games become
+// cards, scheduled with SM-2; later games and solo review sessions reschedule them.
+function createReviewLibrary(storage, profiles) {
+  async function loadDeck(profileId) {
+    return (await storage.getReviewDeck(profileId)) || { cards: {} };
+  }
+
+  async function saveDeck(profileId, deck) {
+    const keys = Object.keys(deck.cards);
+    if (keys.length > MAX_CARDS) {
+      keys.sort((a, b) => deck.cards[b].intervalDays - deck.cards[a].intervalDays)
+        .slice(0, keys.length - MAX_CARDS)
+        .forEach(key => delete deck.cards[key]);
+    }
+    await storage.setReviewDeck(profileId, deck);
+  }
+
+  // Mistakes become cards; answers to questions already in the deck count as reviews
+  async function addGame(profileId, room, playerName, now) {
+    const answers = room.playerAnswers[playerName] || [];
+    const questionTimeMs = roomSettings(room).questionTime * 1000;
+    const deck = await loadDeck(profileId);
+    let changed = false;
+
+    for (const answer of answers) {
+      const question = { ...answer, correct: answer.correctAnswer };
+      const key = cardKey(question);
+      const card = deck.cards[key];
+      if (card) {
+        schedule(card, qualityFor(answer.credit, answer.responseMs <= questionTimeMs / 2), now);
+        changed = true;
+      } else if (answer.credit < 1) {
+        deck.cards[key] = newCard(question, now);
+        changed = true;
+      }
+    }
+    if (changed) {
+      await saveDeck(profileId, deck);
+    }
+  }
+
+  return {
+    // Called with the finished room, alongside the profile stats
+    async recordGame(room) {
+      const now = Date.now();
+      for (const [playerName, profileId] of Object.entries(room.profiles || {})) {
+        try {
+          await addGame(profileId, room, playerName, now);
+        } catch (e) {
+          console.error('Review deck update error:', e);
+        }
+      }
+    },
+
+    // Due cards, most overdue first, plus deck totals
+    async getSession(profileId, profileToken, limit) {
+      await profiles.checkProfile(profileId, profileToken);
+      const now = Date.now();
+      const deck = await loadDeck(profileId);
+      const due = dueCards(deck, now);
+      const upcoming = Object.values(deck.cards).filter(card => card.dueAt > now).map(card => card.dueAt);
+      return {
+        cards: due.slice(0, sessionSize(limit)).map(([key, card]) => cardPrompt(key, card)),
+        dueCount: due.length,
+        totalCards: Object.keys(deck.cards).length,
+        nextDueAt: upcoming.length > 0 ? Math.min(...upcoming) : null
+      };
+    },
+
+    // Grade one solo review answer and reschedule the card
+    async answerCard(profileId, profileToken, key, answer) {
+      await profiles.checkProfile(profileId, profileToken);
+      const deck = await loadDeck(profileId);
+      // The key comes from the client; `constructor` and the like aren't cards
+      if (!Object.prototype.hasOwnProperty.call(deck.cards, key)) {
+        throw httpError(404, 'Review card not found');
+      }
+      const card = deck.cards[key];
+      const given = validateAnswer(card.question, answer);
+      if (given === null) {
+        throw httpError(400, 'Invalid answer');
+      }
+
+      const credit = gradeAnswer(card.question, given);
+      // Solo review is untimed, so a correct answer never counts as a quick one
+      schedule(card, qualityFor(credit, false), Date.now());
+      await saveDeck(profileId, deck);
+      return {
+        credit: credit,
+        isCorrect: credit === 1,
+        correctAnswer: card.question.correct,
+        explanation: card.question.explanation,
+        source: card.question.source || null,
+        nextDueAt: card.dueAt
+      };
+    },
+
+    // Due cards as questions for a personal quiz (saved like any other quiz)
+    async dueQuestions(profileId, profileToken, limit) {
+      await profiles.checkProfile(profileId, profileToken);
+      const deck = await loadDeck(profileId);
+      const due = dueCards(deck, Date.now()).slice(0, sessionSize(limit));
+      if (due.length === 0) {
+        throw httpError(404, 'Nothing is due for review');
+      }
+      return due.map(([, card]) => card.question);
+    }
+  };
+}
+
+module.exports = { createReviewLibrary };
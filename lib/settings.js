@@ -0,0 +1,100 @@
+// Per-room game settings, chosen at create-room and changeable in the lobby
+
+const SCORING_MODES = ['speed', 'flat', 'streak'];
+
+const DEFAULT_SETTINGS = {
+  questionTime: 30, // seconds to answer
+  revealTime: 5, // seconds the answer stays on screen
+  scoringMode: 'speed',
+  wrongPenalty: 0, // points taken off for a wrong answer, in any mode
+  questionCount: null, // play a random subset of this size; null plays them all
+  shuffleOptions: false,
+  lateJoin: true // let new players join once the game has started
+};
+
+const LIMITS = {
+  questionTime: [5, 300],
+  revealTime: [1, 60],
+  wrongPenalty: [0, 1000],
+  questionCount: [1, 100]
+};
+
+// Points for a fully correct answer
+const MAX_POINTS = 1500;
+const MIN_POINTS = 100;
+const FLAT_POINTS = 1000;
+// Streak mode: extra points per correct answer in a row after the first, up to a cap
+const STREAK_BONUS = 100;
+const MAX_STREAK_BONUS = 500;
+
+// Settings stored on a room, with defaults for anything missing (older rooms have none)
+function roomSettings(room) {
+  return { ...DEFAULT_SETTINGS, ...(room.settings || {}) };
+}
+
+function checkWholeNumber(input, key) {
+  const [min, max] = LIMITS[key];
+  const value = input[key];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return `${key} must be a whole number from ${min} to ${max}`;
+  }
+  return null;
+}
+
+// Apply the given fields on top of `current`. Unknown fields are rejected so typos
+// don't silently do nothing. Returns { settings } or { error }.
+function validateSettings(input, current = DEFAULT_SETTINGS) {
+  if (input === undefined || input === null) {
+    return { settings: { ...current } };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'settings must be an object' };
+  }
+
+  const unknown = Object.keys(input).find(key => !(key in DEFAULT_SETTINGS));
+  if (unknown) {
+    return { error: `Unknown setting "${unknown}"` };
+  }
+
+  for (const key of ['questionTime', 'revealTime', 'wrongPenalty']) {
+    if (input[key] !== undefined) {
+      const error = checkWholeNumber(input, key);
+      if (error) return { error };
+    }
+  }
+  if (input.questionCount !== undefined && input.questionCount !== null) {
+    const error = checkWholeNumber(input, 'questionCount');
+    if (error) return { error };
+  }
+  if (input.scoringMode !== undefined && !SCORING_MODES.includes(input.scoringMode)) {
+    return { error: `scoringMode must be one of: ${SCORING_MODES.join(', ')}` };
+  }
+  for (const key of ['shuffleOptions', 'lateJoin']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') {
+      return { error: `${key} must be true or false` };
+    }
+  }
+
+  return { settings: { ...current, ...input } };
+}
+
+// Points for one answer. `credit` is 0-1 (partial credit scales the points),
+// `timeLeft` is in seconds and `streak` counts correct answers in a row including this one.
+function calculatePoints(settings, credit, timeLeft, streak) {
+  if (credit <= 0) {
+    return -settings.wrongPenalty;
+  }
+  switch (settings.scoringMode) {
+    case 'flat':
+      return Math.floor(credit * FLAT_POINTS);
+    case 'streak': {
+      const bonus = credit === 1 ? Math.min(MAX_STREAK_BONUS, (streak - 1) * STREAK_BONUS) : 0;
+      return Math.floor(credit * FLAT_POINTS) + bonus;
+    }
+    default:
+      // Faster correct answers earn more, never less than MIN_POINTS
+      return Math.floor(credit * Math.max(MIN_POINTS, Math.floor((timeLeft / settings.questionTime) * MAX_POINTS)));
+  }
+}
+
+module.exports = { DEFAULT_SETTINGS, SCORING_MODES, roomSettings, validateSettings, calculatePoints };
@@ -0,0 +1,50 @@
+// The big-screen presenter view: what gets projected while everyone answers on their
+// phones. Spectators never join, so they are not in `room.players` or `room.scores`.
+
+const { questionStats } = require('./analytics');
+
+// Distinct typed answers shown on the big screen after a reveal
+const MAX_SHOWN_ANSWERS = 8;
+
+// 1-based competition ranks (equal scores share a rank: 1, 1, 3), by name
+function ranks(entries, scoreOf) {
+  const sorted = [...entries].sort((a, b) => scoreOf(b) - scoreOf(a));
+  const result = {};
+  sorted.forEach((entry, i) => {
+    const previous = sorted[i - 1];
+    result[entry.name] = previous && scoreOf(previous) === scoreOf(entry) ? result[previous.name] : i + 1;
+  });
+  return result;
+}
+
+// Every player by score, with their score and rank before the current question so the
+// big screen can animate the change
+function leaderboard(room) {
+  const entries = room.players.map(player => {
+    const score = room.scores[player.name] || 0;
+    const current = (room.playerAnswers[player.name] || []).find(a => a.questionIndex === room.currentQuestion);
+    const gained = room.status === 'playing' && current ? current.points : 0;
+    return { name: player.name, team: player.team || null, away: Boolean(player.away), score, previousScore: score - gained };
+  });
+
+  const rank = ranks(entries, entry => entry.score);
+  const previousRank = ranks(entries, entry => entry.previousScore);
+  return entries
+    .map(entry => ({ ...entry, rank: rank[entry.name], previousRank: previousRank[entry.name] }))
+    .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name));
+}
+
+// How the room answered the current question; only for a question that has been revealed
+function revealStats(room) {
+  const stats = questionStats(room, room.questions[room.currentQuestion], room.currentQuestion);
+  return {
+    answered: stats.answered,
+    correctCount: stats.correctCount,
+    percentCorrect: stats.percentCorrect,
+    correctLabel: stats.correctLabel,
+    optionCounts: stats.optionCounts,
+    answers: stats.answers.slice(0, MAX_SHOWN_ANSWERS)
+  };
+}
+
+module.exports = { leaderboard, revealStats };
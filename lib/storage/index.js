@@ -0,0 +1,13 @@
+const { createMemoryStorage } = require('./memory');
+const { createRedisStorage } = require('./redis');
+
+// Redis when REDIS_URL is set (production), otherwise in-memory (local dev)
+function createStorage() {
+  if (process.env.REDIS_URL) {
+    return createRedisStorage(process.env.REDIS_URL);
+  }
+  console.warn('REDIS_URL not set - using in-memory storage');
+  return createMemoryStorage();
+}
+
+module.exports = { createStorage, createMemoryStorage, createRedisStorage };
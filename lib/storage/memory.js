@@ -0,0 +1,151 @@
+const { EventEmitter } = require('events');
+const { matchesSearch, pageOptions } = require('./search');
+
+const ROOM_TTL = 7200 * 1000;
+const QUIZ_TTL = 2592000 * 1000;
+const DOCUMENT_TTL = 2592000 * 1000;
+const PROFILE_TTL = 31536000 * 1000;
+
+// In-process storage for local development. Values are stored as JSON so callers
+// get the same copy-on-read behaviour as with Redis.
+function createMemoryStorage() {
+  const entries = new Map();
+  const locks = new Map();
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  function getJSON(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.data);
+  }
+
+  function setJSON(key, ttlMs, value) {
+    entries.set(key, { data: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  // Listing indexes: Map of id -> { name, createdAt, expiresAt, summary }, same results as Redis
+  const publicRooms = new Map();
+  const savedQuizzes = new Map();
+  const libraryDocuments = new Map();
+  // Leaderboards: Map of board -> Map of profile id -> score
+  const leaderboards = new Map();
+
+  function putListing(index, id, ttlMs, listing) {
+    if (listing) {
+      index.set(id, { name: listing.name, createdAt: listing.createdAt || Date.now(), expiresAt: Date.now() + ttlMs, summary: listing.summary });
+    } else {
+      index.delete(id);
+    }
+  }
+
+  function listIndex(index, options) {
+    const { offset, limit, search } = pageOptions(options);
+    const now = Date.now();
+    for (const [id, entry] of index) {
+      if (entry.expiresAt <= now) index.delete(id);
+    }
+    const matches = [...index.entries()]
+      .filter(([, entry]) => !search || matchesSearch(entry.name, search))
+      .sort((a, b) => b[1].createdAt - a[1].createdAt);
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit).map(([id, entry]) => ({ id, summary: entry.summary }))
+    };
+  }
+
+  return {
+    getRoom: async (roomCode) => getJSON(`room:${roomCode}`),
+    async setRoom(roomCode, room, listing = null) {
+      putListing(publicRooms, roomCode, ROOM_TTL, listing);
+      return setJSON(`room:${roomCode}`, ROOM_TTL, room);
+    },
+    // Same contract as the Redis version; atomic here because nothing awaits between read and write
+    async updateRoom(roomCode, mutate, listingFor = () => null) {
+      const room = getJSON(`room:${roomCode}`);
+      if (!room) return null;
+
+      const result = mutate(room);
+      if (JSON.stringify(room) !== entries.get(`room:${roomCode}`).data) {
+        room.lastUpdate = Date.now();
+        putListing(publicRooms, roomCode, ROOM_TTL, listingFor(room));
+        setJSON(`room:${roomCode}`, ROOM_TTL, room);
+      }
+      return { room, result };
+    },
+    listPublicRooms: async (options) => listIndex(publicRooms, options),
+
+    getQuiz: async (quizId) => getJSON(`quiz:${quizId}`),
+    async setQuiz(quizId, quiz, listing = null) {
+      putListing(savedQuizzes, quizId, QUIZ_TTL, listing);
+      return setJSON(`quiz:${quizId}`, QUIZ_TTL, quiz);
+    },
+    listQuizzes: async (options) => listIndex(savedQuizzes, options),
+
+    async deleteQuiz(quizId) {
+      entries.delete(`quiz:${quizId}`);
+      savedQuizzes.delete(quizId);
+    },
+
+    getDocument: async (documentId) => getJSON(`document:${documentId}`),
+    async setDocument(documentId, document, listing = null) {
+      putListing(libraryDocuments, documentId, DOCUMENT_TTL, listing);
+      return setJSON(`document:${documentId}`, DOCUMENT_TTL, document);
+    },
+    listDocuments: async (options) => listIndex(libraryDocuments, options),
+
+    getProfile: async (profileId) => getJSON(`profile:${profileId}`),
+    async setProfile(profileId, profile, scores = {}) {
+      for (const [board, score] of Object.entries(scores)) {
+        if (!leaderboards.has(board)) leaderboards.set(board, new Map());
+        leaderboards.get(board).set(profileId, score);
+      }
+      return setJSON(`profile:${profileId}`, PROFILE_TTL, profile);
+    },
+    getReviewDeck: async (profileId) => getJSON(`review:${profileId}`),
+    setReviewDeck: async (profileId, deck) => setJSON(`review:${profileId}`, PROFILE_TTL, deck),
+    // Memory boards don't expire; they only live as long as the process
+    async setLeaderboardScore(board, id, score) {
+      if (!leaderboards.has(board)) leaderboards.set(board, new Map());
+      leaderboards.get(board).set(id, score);
+      return true;
+    },
+    async listLeaderboard(board, options) {
+      const { offset, limit } = pageOptions(options);
+      const ranked = [...(leaderboards.get(board) || new Map()).entries()].sort((a, b) => b[1] - a[1]);
+      return {
+        total: ranked.length,
+        items: ranked.slice(offset, offset + limit).map(([id, score]) => ({ id, score }))
+      };
+    },
+
+    getChallenge: async (challengeId) => getJSON(`challenge:${challengeId}`),
+    setChallenge: async (challengeId, challenge, ttl) => setJSON(`challenge:${challengeId}`, ttl * 1000, challenge),
+    getAttempt: async (challengeId, attemptId) => getJSON(`attempt:${challengeId}:${attemptId}`),
+    setAttempt: async (challengeId, attemptId, attempt, ttl) => setJSON(`attempt:${challengeId}:${attemptId}`, ttl * 1000, attempt),
+
+    async acquireLock(name, ttlMs) {
+      const now = Date.now();
+      if ((locks.get(name) || 0) > now) return false;
+      locks.set(name, now + ttlMs);
+      return true;
+    },
+
+    async publish(roomCode, type, data) {
+      // Round-trip through JSON like the Redis channel does
+      events.emit(roomCode, type, JSON.parse(JSON.stringify(data)));
+    },
+
+    async subscribe(roomCode, onEvent) {
+      events.on(roomCode, onEvent);
+      return async () => events.off(roomCode, onEvent);
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
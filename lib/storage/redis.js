@@ -0,0 +1,318 @@
+const Redis = require('ioredis');
+const { nameWords, matchesSearch, pageOptions } = require('./search');
+const { httpError } = require('../errors');
+
+const ROOM_TTL = 7200; // 2 hours
+const QUIZ_TTL = 2592000; // 30 days
+const DOCUMENT_TTL = 2592000; // 30 days, restarted every time a document is used
+const PROFILE_TTL = 31536000; // 1 year, restarted by every game played
+
+// Concurrent room updates retry this often before giving up
+const MAX_UPDATE_ATTEMPTS = 20;
+
+// Compare-and-set: write the room only if its version is still the one we read.
+// KEYS: room, room version. ARGV: expected version, room JSON, ttl, new version.
+const SET_ROOM_IF_VERSION = `
+if (redis.call('GET', KEYS[2]) or '0') ~= ARGV[1] then
+  return 0
+end
+redis.call('SETEX', KEYS[1], ARGV[3], ARGV[2])
+redis.call('SETEX', KEYS[2], ARGV[3], ARGV[4])
+return 1
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A listing index over one kind of value, written in the same MULTI as the value:
+//   index:<name>:created    sorted set, id by creation time (newest first when listing)
+//   index:<name>:expires    sorted set, id by when the value's TTL runs out
+//   index:<name>:words      sorted set of "word\0id" for prefix search with ZRANGEBYLEX
+//   index:<name>:summaries  hash of id -> { name, words, summary } shown in lists
+function createIndex(redis, name, ttl) {
+  const keys = {
+    created: `index:${name}:created`,
+    expires: `index:${name}:expires`,
+    words: `index:${name}:words`,
+    summaries: `index:${name}:summaries`
+  };
+
+  async function previousWords(ids) {
+    if (ids.length === 0) return [];
+    const entries = await redis.hmget(keys.summaries, ...ids);
+    return entries.flatMap((entry, i) => (entry ? JSON.parse(entry).words.map(w => `${w}\0${ids[i]}`) : []));
+  }
+
+  // Add the index commands for storing / dropping `id` to a MULTI
+  async function queuePut(multi, id, listing) {
+    const stale = await previousWords([id]);
+    if (stale.length > 0) multi.zrem(keys.words, ...stale);
+
+    if (!listing) {
+      multi.zrem(keys.created, id).zrem(keys.expires, id).hdel(keys.summaries, id);
+      return multi;
+    }
+    const words = nameWords(listing.name);
+    multi
+      .zadd(keys.created, listing.createdAt || Date.now(), id)
+      .zadd(keys.expires, Date.now() + ttl * 1000, id)
+      .hset(keys.summaries, id, JSON.stringify({ name: listing.name, words, summary: listing.summary }));
+    if (words.length > 0) multi.zadd(keys.words, ...words.flatMap(w => [0, `${w}\0${id}`]));
+    return multi;
+  }
+
+  // Drop everything whose value has expired
+  async function prune() {
+    const expired = await redis.zrangebyscore(keys.expires, 0, Date.now());
+    if (expired.length === 0) return;
+    const multi = redis.multi();
+    for (const id of expired) await queuePut(multi, id, null);
+    await multi.exec();
+  }
+
+  async function summaries(ids) {
+    if (ids.length === 0) return [];
+    const entries = await redis.hmget(keys.summaries, ...ids);
+    return ids
+      .map((id, i) => (entries[i] ? { id, ...JSON.parse(entries[i]) } : null))
+      .filter(Boolean);
+  }
+
+  async function list(options) {
+    const { offset, limit, search } = pageOptions(options);
+    await prune();
+
+    if (!search) {
+      const [[, total], [, ids]] = await redis.pipeline()
+        .zcard(keys.created)
+        .zrevrange(keys.created, offset, offset + limit - 1)
+        .exec();
+      const items = await summaries(ids);
+      return { total, items: items.map(({ id, summary }) => ({ id, summary })) };
+    }
+
+    // Candidates share a word prefix with the first search term; the rest is checked on the names
+    const first = nameWords(search)[0] || '';
+    const members = await redis.zrangebylex(keys.words, `[${first}`, `[${first}\xff`);
+    const ids = [...new Set(members.map(m => m.substring(m.indexOf('\0') + 1)))];
+
+    const pipeline = redis.pipeline();
+    ids.forEach(id => pipeline.zscore(keys.created, id));
+    const created = (await pipeline.exec()).map(([, score]) => Number(score));
+
+    const matches = (await summaries(ids))
+      .filter(entry => matchesSearch(entry.name, search))
+      .map(entry => ({ ...entry, createdAt: created[ids.indexOf(entry.id)] }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    return {
+      total: matches.length,
+      items: matches.slice(offset, offset + limit).map(({ id, summary }) => ({ id, summary }))
+    };
+  }
+
+  return { queuePut, list };
+}
+
+// Redis-backed storage, used in production (Vercel) where requests share no memory.
+// `RedisClient` is the ioredis client class, replaced by an in-memory stand-in in tests.
+function createRedisStorage(url, RedisClient = Redis) {
+  const redis = new RedisClient(url);
+  redis.defineCommand('setRoomIfVersion', { numberOfKeys: 2, lua: SET_ROOM_IF_VERSION });
+  const publicRooms = createIndex(redis, 'public-rooms', ROOM_TTL);
+  const savedQuizzes = createIndex(redis, 'quizzes', QUIZ_TTL);
+  const libraryDocuments = createIndex(redis, 'documents', DOCUMENT_TTL);
+
+  async function getJSON(key) {
+    try {
+      const data = await redis.get(key);
+      return data ? JSON.parse(data) : null;
+    } catch (e) {
+      console.error('Redis get error:', e);
+      return null;
+    }
+  }
+
+  async function setJSON(key, ttl, value) {
+    try {
+      await redis.setex(key, ttl, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.error('Redis set error:', e);
+      return false;
+    }
+  }
+
+  // Store a value and update its listing index in one transaction
+  async function setIndexedJSON(index, prefix, id, ttl, value, listing) {
+    try {
+      const multi = redis.multi().setex(`${prefix}:${id}`, ttl, JSON.stringify(value));
+      await index.queuePut(multi, id, listing);
+      await multi.exec();
+      return true;
+    } catch (e) {
+      console.error('Redis set error:', e);
+      return false;
+    }
+  }
+
+  async function listIndex(index, options) {
+    try {
+      return await index.list(options);
+    } catch (e) {
+      console.error('Redis list error:', e);
+      return { total: 0, items: [] };
+    }
+  }
+
+  return {
+    getRoom: (roomCode) => getJSON(`room:${roomCode}`),
+    // `listing` ({ name, createdAt, summary }) puts the room in the public list; null takes it out
+    async setRoom(roomCode, room, listing = null) {
+      const multi = redis.multi()
+        .setex(`room:${roomCode}`, ROOM_TTL, JSON.stringify(room))
+        .setex(`room-version:${roomCode}`, ROOM_TTL, '0');
+      await publicRooms.queuePut(multi, roomCode, listing);
+      await multi.exec();
+    },
+
+    // Optimistic read-modify-write: run `mutate` on the current room and save it only if
+    // nobody else saved in between, otherwise retry on the fresh copy. Resolves to
+    // { room, result } (result is what mutate returned), or null if the room is gone.
+    // Nothing is written when mutate leaves the room unchanged.
+    async updateRoom(roomCode, mutate, listingFor = () => null) {
+      const roomKey = `room:${roomCode}`;
+      const versionKey = `room-version:${roomCode}`;
+
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const [data, version] = await redis.mget(roomKey, versionKey);
+        if (!data) return null;
+
+        const room = JSON.parse(data);
+        const result = mutate(room);
+        if (JSON.stringify(room) === data) return { room, result };
+
+        room.lastUpdate = Date.now();
+        const expected = version || '0';
+        const saved = await redis.setRoomIfVersion(roomKey, versionKey, expected, JSON.stringify(room), ROOM_TTL, String(Number(expected) + 1));
+        if (saved === 1) {
+          // The listing follows the room; a racing writer's listing is fixed by the next save
+          await (await publicRooms.queuePut(redis.multi(), roomCode, listingFor(room))).exec();
+          return { room, result };
+        }
+        await sleep(5 + Math.random() * 20 * (attempt + 1));
+      }
+      throw httpError(503, 'The room is busy, please try again');
+    },
+
+    // { offset, limit, search } -> { total, items: [{ id, summary }] }, newest first
+    listPublicRooms: (options) => listIndex(publicRooms, options),
+
+    getQuiz: (quizId) => getJSON(`quiz:${quizId}`),
+    setQuiz: (quizId, quiz, listing = null) =>
+      setIndexedJSON(savedQuizzes, 'quiz', quizId, QUIZ_TTL, quiz, listing),
+    listQuizzes: (options) => listIndex(savedQuizzes, options),
+
+    async deleteQuiz(quizId) {
+      const multi = redis.multi().del(`quiz:${quizId}`);
+      await savedQuizzes.queuePut(multi, quizId, null);
+      await multi.exec();
+    },
+
+    getDocument: (documentId) => getJSON(`document:${documentId}`),
+    setDocument: (documentId, document, listing = null) =>
+      setIndexedJSON(libraryDocuments, 'document', documentId, DOCUMENT_TTL, document, listing),
+    listDocuments: (options) => listIndex(libraryDocuments, options),
+
+    getProfile: (profileId) => getJSON(`profile:${profileId}`),
+    // `scores` ({ board: score }) go into the leaderboard sorted sets in the same transaction
+    async setProfile(profileId, profile, scores = {}) {
+      try {
+        const multi = redis.multi().setex(`profile:${profileId}`, PROFILE_TTL, JSON.stringify(profile));
+        for (const [board, score] of Object.entries(scores)) {
+          multi.zadd(`leaderboard:${board}`, score, profileId);
+        }
+        await multi.exec();
+        return true;
+      } catch (e) {
+        console.error('Redis set error:', e);
+        return false;
+      }
+    },
+
+    // Each profile's spaced-repetition cards, kept as long as the profile
+    getReviewDeck: (profileId) => getJSON(`review:${profileId}`),
+    setReviewDeck: (profileId, deck) => setJSON(`review:${profileId}`, PROFILE_TTL, deck),
+
+    // Leaderboards that expire with their challenge
+    async setLeaderboardScore(board, id, score, ttl) {
+      try {
+        await redis.multi().zadd(`leaderboard:${board}`, score, id).expire(`leaderboard:${board}`, ttl).exec();
+        return true;
+      } catch (e) {
+        console.error('Redis set error:', e);
+        return false;
+      }
+    },
+
+    // Highest score first; { offset, limit } -> { total, items: [{ id, score }] }
+    async listLeaderboard(board, options) {
+      const { offset, limit } = pageOptions(options);
+      try {
+        const [[, total], [, flat]] = await redis.pipeline()
+          .zcard(`leaderboard:${board}`)
+          .zrevrange(`leaderboard:${board}`, offset, offset + limit - 1, 'WITHSCORES')
+          .exec();
+        const items = [];
+        for (let i = 0; i < flat.length; i += 2) {
+          items.push({ id: flat[i], score: Number(flat[i + 1]) });
+        }
+        return { total, items };
+      } catch (e) {
+        console.error('Redis list error:', e);
+        return { total: 0, items: [] };
+      }
+    },
+
+    // Solo challenges and the attempts at them; both expire a while after the challenge closes
+    getChallenge: (challengeId) => getJSON(`challenge:${challengeId}`),
+    setChallenge: (challengeId, challenge, ttl) => setJSON(`challenge:${challengeId}`, ttl, challenge),
+    getAttempt: (challengeId, attemptId) => getJSON(`attempt:${challengeId}:${attemptId}`),
+    setAttempt: (challengeId, attemptId, attempt, ttl) => setJSON(`attempt:${challengeId}:${attemptId}`, ttl, attempt),
+
+    // Returns true if the caller got the lock; it expires on its own after ttlMs
+    async acquireLock(name, ttlMs) {
+      try {
+        return (await redis.set(`lock:${name}`, '1', 'PX', ttlMs, 'NX')) === 'OK';
+      } catch (e) {
+        console.error('Redis lock error:', e);
+        return false;
+      }
+    },
+
+    async publish(roomCode, type, data) {
+      try {
+        await redis.publish(`room-events:${roomCode}`, JSON.stringify({ type, data }));
+      } catch (e) {
+        console.error('Redis publish error:', e);
+      }
+    },
+
+    // Each subscription gets its own connection; call the returned function to close it
+    async subscribe(roomCode, onEvent) {
+      const subscriber = redis.duplicate();
+      subscriber.on('message', (channel, message) => {
+        try {
+          const { type, data } = JSON.parse(message);
+          onEvent(type, data);
+        } catch (e) {
+          console.error('Bad room event:', e);
+        }
+      });
+      await subscriber.subscribe(`room-events:${roomCode}`);
+      return () => subscriber.quit().catch(() => {});
+    }
+  };
+}
+
+module.exports = { createRedisStorage };
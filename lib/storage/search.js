@@ -0,0 +1,20 @@
+// Name search shared by the storage backends: a query matches when every one of its
+// words is the start of a word in the name ("cloud fin" matches "Cloud Computing Finals").
+
+function nameWords(name) {
+  return [...new Set(String(name || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean))];
+}
+
+function matchesSearch(name, search) {
+  const words = nameWords(name);
+  return nameWords(search).every(term => words.some(word => word.startsWith(term)));
+}
+
+// Clamp ?offset= / ?limit= style paging options
+function pageOptions({ offset, limit, search } = {}, maxLimit = 100) {
+  const start = Math.max(0, parseInt(offset, 10) || 0);
+  const count = Math.min(maxLimit, Math.max(1, parseInt(limit, 10) || 20));
+  return { offset: start, limit: count, search: typeof search === 'string' ? search.trim() : '' };
+}
+
+module.exports = { nameWords, matchesSearch, pageOptions };
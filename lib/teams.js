@@ -0,0 +1,66 @@
+// Team mode: each player is on one named team (stored on the player as `team`), and a
+// team scores the sum or the average of its members' scores
+
+const DEFAULT_TEAM_NAMES = ['Red Team', 'Blue Team'];
+const TEAM_SCORING = ['sum', 'average'];
+const MAX_TEAMS = 8;
+
+// `input` is true for the defaults, or { names, scoring }. Returns { teams } (null when
+// team mode is off) or { error }.
+function validateTeams(input) {
+  if (input === undefined || input === null || input === false) {
+    return { teams: null };
+  }
+  const options = input === true ? {} : input;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'teams must be true or an object' };
+  }
+
+  const names = options.names === undefined ? DEFAULT_TEAM_NAMES : options.names;
+  if (!Array.isArray(names) || names.length < 2 || names.length > MAX_TEAMS) {
+    return { error: `teams.names must list 2 to ${MAX_TEAMS} teams` };
+  }
+  const trimmed = names.map(name => (typeof name === 'string' ? name.trim() : ''));
+  if (trimmed.some(name => !name || name.length > 30)) {
+    return { error: 'Team names must be 1-30 characters' };
+  }
+  if (new Set(trimmed.map(name => name.toLowerCase())).size !== trimmed.length) {
+    return { error: 'Team names must be different' };
+  }
+
+  const scoring = options.scoring === undefined ? 'sum' : options.scoring;
+  if (!TEAM_SCORING.includes(scoring)) {
+    return { error: `teams.scoring must be one of: ${TEAM_SCORING.join(', ')}` };
+  }
+  return { teams: { names: trimmed, scoring } };
+}
+
+// The team with the fewest players, the first listed on a tie
+function smallestTeam(room) {
+  const sizes = room.teams.names.map(name => room.players.filter(p => p.team === name).length);
+  return room.teams.names[sizes.indexOf(Math.min(...sizes))];
+}
+
+// Team name -> score, or null outside team mode. Empty teams score 0.
+function teamScores(room) {
+  if (!room.teams) return null;
+  const result = {};
+  for (const name of room.teams.names) {
+    const members = room.players.filter(p => p.team === name);
+    const total = members.reduce((sum, p) => sum + (room.scores[p.name] || 0), 0);
+    result[name] = room.teams.scoring === 'average' && members.length > 0
+      ? Math.round(total / members.length)
+      : total;
+  }
+  return result;
+}
+
+// { team, score, tie } for the best team, or null outside team mode
+function winningTeam(room) {
+  const scores = teamScores(room);
+  if (!scores) return null;
+  const [first, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return { team: first[0], score: first[1], tie: first[1] === second[1] };
+}
+
+module.exports = { validateTeams, smallestTeam, teamScores, winningTeam };
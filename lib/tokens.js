@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Secret tokens for hosts, players and quiz owners
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokensMatch(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { generateToken, tokensMatch };
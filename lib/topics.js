@@ -0,0 +1,113 @@
+const { DIFFICULTIES, MAX_TOPIC_LENGTH, normalizeText } = require('./questions');
+const { httpError } = require('./errors');
+
+// Focus topics per request
+const MAX_TOPICS = 20;
+// Topics an outline suggests
+const MAX_OUTLINE_TOPICS = 15;
+// Characters of each section sent when asking for an outline
+const OUTLINE_SECTION_CHARS = 1500;
+
+// What each level asks of the player, for the generation prompt
+const DIFFICULTY_RULES = {
+  recall: 'recall - remembering facts, definitions and terms from the content',
+  application: 'application - using a concept from the content in a concrete scenario or small problem',
+  analysis: 'analysis - comparing approaches, finding causes and trade-offs, or judging which option fits best and why'
+};
+
+// A difficulty level from a request: null for a mix of levels
+function parseDifficulty(value) {
+  if (value === undefined || value === null || value === '' || value === 'mixed') return null;
+  if (!DIFFICULTIES.includes(value)) {
+    throw httpError(400, `difficulty must be one of: ${DIFFICULTIES.join(', ')} (or mixed)`);
+  }
+  return value;
+}
+
+// Focus topics from a comma-separated string (multipart forms) or a list
+function parseTopics(value) {
+  if (!value) return [];
+  const topics = (Array.isArray(value) ? value : String(value).split(','))
+    .map(topic => String(topic).trim())
+    .filter(Boolean);
+  if (topics.length > MAX_TOPICS) {
+    throw httpError(400, `Pick at most ${MAX_TOPICS} topics`);
+  }
+  if (topics.some(topic => topic.length > MAX_TOPIC_LENGTH)) {
+    throw httpError(400, `Topics must be at most ${MAX_TOPIC_LENGTH} characters`);
+  }
+  return [...new Map(topics.map(topic => [normalizeText(topic), topic])).values()];
+}
+
+// A tag matches a wanted topic when either contains the other as whole words
+// ("virtualization" matches "Virtualization and hypervisors")
+function topicMatches(tag, topic) {
+  const a = ` ${normalizeText(tag)} `;
+  const b = ` ${normalizeText(topic)} `;
+  return b.trim() !== '' && (a.includes(b) || b.includes(a));
+}
+
+// Text that mentions one of the topics (by any word of three letters or more)
+function mentionsTopic(text, topics) {
+  const haystack = ` ${normalizeText(text)} `;
+  return topics.some(topic => normalizeText(topic).split(' ')
+    .filter(word => word.length >= 3)
+    .some(word => haystack.includes(` ${word}`)));
+}
+
+// Questions tagged with one of the topics and/or with the difficulty
+function filterQuestions(questions, { topics = [], difficulty = null } = {}) {
+  return questions.filter(q =>
+    (topics.length === 0 || (q.topic && topics.some(topic => topicMatches(q.topic, topic)))) &&
+    (!difficulty || q.difficulty === difficulty));
+}
+
+// Topic name -> question count and difficulty -> question count, for the saved-quiz list
+function tagCounts(questions) {
+  const topics = {};
+  const difficulties = {};
+  for (const q of questions) {
+    if (q.topic) topics[q.topic] = (topics[q.topic] || 0) + 1;
+    if (q.difficulty) difficulties[q.difficulty] = (difficulties[q.difficulty] || 0) + 1;
+  }
+  return { topics, difficulties };
+}
+
+// The start of every section, so an outline request sees the whole course and not just
+// its first pages. `chunks` come from chunkDocuments.
+function outlineDigest(chunks) {
+  return chunks
+    .map(chunk => `## ${chunk.file} - ${chunk.section}\n${chunk.text.substring(0, OUTLINE_SECTION_CHARS)}`)
+    .join('\n\n');
+}
+
+// Clean up the provider's suggested topics: named, distinct, at most MAX_OUTLINE_TOPICS
+function cleanOutline(rawTopics) {
+  const seen = new Set();
+  const topics = [];
+  for (const raw of Array.isArray(rawTopics) ? rawTopics : []) {
+    const name = typeof raw === 'string' ? raw : raw && raw.name;
+    if (typeof name !== 'string' || !name.trim()) continue;
+    const key = normalizeText(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    topics.push({
+      name: name.trim().substring(0, MAX_TOPIC_LENGTH),
+      description: raw && typeof raw.description === 'string' ? raw.description.trim() : ''
+    });
+    if (topics.length === MAX_OUTLINE_TOPICS) break;
+  }
+  return topics;
+}
+
+module.exports = {
+  DIFFICULTY_RULES,
+  MAX_OUTLINE_TOPICS,
+  parseDifficulty,
+  parseTopics,
+  mentionsTopic,
+  filterQuestions,
+  tagCounts,
+  outlineDigest,
+  cleanOutline
+};
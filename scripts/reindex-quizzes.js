@@ -0,0 +1,41 @@
+// One-off backfill of the saved-quiz index for quizzes stored before it existed.
+// Walks quiz:* with SCAN (never KEYS) and re-saves each quiz through the storage layer,
+// which also restarts its 30-day expiry.
+//   REDIS_URL=redis://... node scripts/reindex-quizzes.js
+require('dotenv').config();
+const Redis = require('ioredis');
+const { createRedisStorage } = require('../lib/storage');
+const { quizListing } = require('../lib/quizzes');
+
+async function main() {
+  if (!process.env.REDIS_URL) {
+    console.error('REDIS_URL is not set');
+    process.exit(1);
+  }
+  const redis = new Redis(process.env.REDIS_URL);
+  const storage = createRedisStorage(process.env.REDIS_URL);
+
+  let cursor = '0';
+  let count = 0;
+  do {
+    const [next, keys] = await redis.scan(cursor, 'MATCH', 'quiz:*', 'COUNT', 200);
+    cursor = next;
+    if (keys.length === 0) continue;
+
+    const values = await redis.mget(...keys);
+    for (let i = 0; i < keys.length; i++) {
+      if (!values[i]) continue;
+      const quiz = JSON.parse(values[i]);
+      await storage.setQuiz(keys[i].substring('quiz:'.length), quiz, quizListing(quiz));
+      count++;
+    }
+  } while (cursor !== '0');
+
+  console.log(`Indexed ${count} quizzes`);
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { createQuizLibrary } = require('../lib/quizzes');
+const { createContentLibrary } = require('../lib/library');
+const { createProfileLibrary } = require('../lib/profiles');
+const { createReviewLibrary } = require('../lib/review');
+const { createChallengeLibrary } = require('../lib/challenges');
+
+const QUESTIONS = ['IaaS', 'PaaS', 'SaaS'].map((model, i) => ({
+  type: 'multiple-choice',
+  question: `Which of these is ${model}?`,
+  options: ['A) IaaS', 'B) PaaS', 'C) SaaS', 'D) FaaS'],
+  correct: i,
+  explanation: `${model} is option ${i + 1}.`
+}));
+
+async function setup() {
+  const storage = createMemoryStorage();
+  const quizzes = createQuizLibrary(storage, createContentLibrary(storage));
+  const profiles = createProfileLibrary(storage);
+  const reviews = createReviewLibrary(storage, profiles);
+  const challenges = createChallengeLibrary(storage, { quizzes, profiles, reviews });
+  const { quizId } = await quizzes.saveQuiz({ name: 'Cloud', questions: QUESTIONS, fileNames: [] });
+  const { challengeId } = await challenges.createChallenge({ quizId });
+  return { storage, challenges, challengeId };
+}
+
+// Play a whole attempt, answering with `pick(question)`; resolves to the finished status
+async function play(challenges, challengeId, playerName, pick) {
+  const { attemptId, attemptToken } = await challenges.startAttempt(challengeId, { playerName });
+  for (;;) {
+    const question = await challenges.getQuestion(challengeId, attemptId, attemptToken);
+    if (question.status === 'finished') return question;
+    const result = await challenges.submitAnswer(challengeId, attemptId, attemptToken, pick(question));
+    assert.strictEqual(result.correctAnswer, undefined);
+  }
+}
+
+async function closeChallenge(storage, challengeId) {
+  const challenge = await storage.getChallenge(challengeId);
+  challenge.closesAt = Date.now() - 1;
+  await storage.setChallenge(challengeId, challenge, 60);
+}
+
+// A throwaway attempt under a second name must not hand out the answers while the
+// challenge is open, or the player's real (ranked) attempt could use them
+test('a finished challenge attempt keeps the answers back until the challenge closes', async () => {
+  const { storage, challenges, challengeId } = await setup();
+
+  const throwaway = await play(challenges, challengeId, 'x', () => 0);
+  assert.strictEqual(throwaway.answers, undefined);
+  assert.ok(!JSON.stringify(throwaway).includes('correctAnswer'));
+  assert.ok(!JSON.stringify(throwaway).includes('explanation'));
+  assert.ok(throwaway.answersAt > Date.now());
+
+  const real = await play(challenges, challengeId, 'Ann', () => 0);
+  assert.strictEqual(real.ranked, true);
+  assert.strictEqual(real.answers, undefined);
+
+  await closeChallenge(storage, challengeId);
+  const { entries } = await challenges.leaderboard(challengeId, {});
+  assert.deepStrictEqual(entries.map(e => e.playerName).sort(), ['Ann', 'x']);
+});
+
+test('challenge answers are revealed after closing, and later finishes are not ranked', async () => {
+  const { storage, challenges, challengeId } = await setup();
+  const { attemptId, attemptToken } = await challenges.startAttempt(challengeId, { playerName: 'Late' });
+  await challenges.getQuestion(challengeId, attemptId, attemptToken);
+  await challenges.submitAnswer(challengeId, attemptId, attemptToken, 0);
+
+  await play(challenges, challengeId, 'Ann', () => 1);
+  await closeChallenge(storage, challengeId);
+
+  // Late finishes with the answers already out, so the attempt is practice
+  let question = await challenges.getQuestion(challengeId, attemptId, attemptToken);
+  while (question.status !== 'finished') {
+    await challenges.submitAnswer(challengeId, attemptId, attemptToken, 0);
+    question = await challenges.getQuestion(challengeId, attemptId, attemptToken);
+  }
+  assert.strictEqual(question.ranked, false);
+  assert.strictEqual(question.answers.length, QUESTIONS.length);
+  assert.ok(question.answers.every(a => a.correctAnswer !== undefined));
+
+  const { entries } = await challenges.leaderboard(challengeId, {});
+  assert.deepStrictEqual(entries.map(e => e.playerName), ['Ann']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RedisMock = require('ioredis-mock');
+const { createRedisStorage } = require('../lib/storage');
+const { createEngine } = require('../lib/engine');
+
+const PLAYERS = 20;
+
+const QUESTIONS = [
+  {
+    type: 'multiple-choice',
+    question: 'Which service model gives you virtual machines?',
+    options: ['A) IaaS', 'B) PaaS', 'C) SaaS', 'D) FaaS'],
+    correct: 0,
+    explanation: 'Infrastructure as a Service rents out virtual machines.'
+  }
+];
+
+// Every room write goes through the compare-and-set in storage.updateRoom, so requests
+// that arrive together must all land even though each one re-reads and rewrites the room
+test('simultaneous joins and answers against Redis are all kept', async () => {
+  const storage = createRedisStorage(undefined, RedisMock);
+  const engine = createEngine(storage);
+  const names = Array.from({ length: PLAYERS }, (_, i) => `Player ${i + 1}`);
+
+  const { roomCode, hostToken } = await engine.createRoom({ roomName: 'Race' });
+  const joined = await Promise.all(names.map(playerName => engine.joinRoom(roomCode, { playerName })));
+
+  let room = await storage.getRoom(roomCode);
+  assert.deepStrictEqual(room.players.map(p => p.name).sort(), [...names].sort());
+  assert.strictEqual(Object.keys(room.playerTokens).length, PLAYERS);
+  assert.strictEqual(Object.keys(room.scores).length, PLAYERS);
+
+  await engine.loadQuestions(roomCode, hostToken, QUESTIONS);
+  await engine.startGame(roomCode, hostToken);
+
+  // Each player needs the nonce their own question fetch issued
+  const fetched = await Promise.all(joined.map(j => engine.getQuestion(roomCode, j.playerToken)));
+  const results = await Promise.all(joined.map((j, i) =>
+    engine.submitAnswer(roomCode, j.playerToken, { answer: i % 2 === 0 ? 0 : 1, nonce: fetched[i].nonce })));
+  assert.ok(results.every(r => r.submitted));
+
+  room = await storage.getRoom(roomCode);
+  assert.strictEqual(Object.keys(room.currentQuestionAnswers).length, PLAYERS);
+  for (const name of names) {
+    assert.strictEqual(room.playerAnswers[name].length, 1);
+    assert.strictEqual(room.scores[name], room.playerAnswers[name][0].points);
+  }
+  assert.strictEqual(names.filter(name => room.scores[name] > 0).length, PLAYERS / 2);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStorage } = require('../lib/storage');
+const { createEngine } = require('../lib/engine');
+
+const QUESTIONS = [
+  {
+    type: 'multiple-choice',
+    question: 'Which service model gives you virtual machines?',
+    options: ['A) IaaS', 'B) PaaS', 'C) SaaS', 'D) FaaS'],
+    correct: 0,
+    explanation: 'Infrastructure as a Service rents out virtual machines.'
+  }
+];
+
+async function startedGame(engine) {
+  const { roomCode, hostToken } = await engine.createRoom({ roomName: 'Pause' });
+  const { playerToken } = await engine.joinRoom(roomCode, { playerName: 'Ann' });
+  await engine.loadQuestions(roomCode, hostToken, QUESTIONS);
+  await engine.startGame(roomCode, hostToken);
+  return { roomCode, hostToken, playerToken };
+}
+
+// The clock is frozen while paused, so an answer then would score full speed points
+test('answers are rejected while the host has paused', async () => {
+  const engine = createEngine(createMemoryStorage());
+  const { roomCode, hostToken, playerToken } = await startedGame(engine);
+  const { nonce } = await engine.getQuestion(roomCode, playerToken);
+
+  await engine.control(roomCode, hostToken, 'pause');
+  await assert.rejects(
+    engine.submitAnswer(roomCode, playerToken, { answer: 0, nonce }),
+    error => error.status === 409
+  );
+
+  await engine.control(roomCode, hostToken, 'resume');
+  const result = await engine.submitAnswer(roomCode, playerToken, { answer: 0, nonce });
+  assert.ok(result.submitted);
+});
+
+test('no answer nonce is issued during a pause', async () => {
+  const engine = createEngine(createMemoryStorage());
+  const { roomCode, hostToken, playerToken } = await startedGame(engine);
+
+  await engine.control(roomCode, hostToken, 'pause');
+  assert.strictEqual((await engine.getQuestion(roomCode, playerToken)).nonce, null);
+
+  await engine.control(roomCode, hostToken, 'resume');
+  assert.ok((await engine.getQuestion(roomCode, playerToken)).nonce);
+});